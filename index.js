@@ -1,15 +1,807 @@
 // http://docs.couchdb.org/en/stable/api/index.html
 'use strict'
 const assert = require('assert')
+const crypto = require('crypto')
+const EventEmitter = require('events')
 const http = require('http')
 const https = require('https')
 const querystring = require('querystring')
+const stream = require('stream')
 const urlParse = require('url').parse
 
 // https://wiki.apache.org/couchdb/HTTP_view_API#Querying_Options
-const QUERY_KEYS_JSON = ['key', 'keys', 'startkey', 'endkey']
+const QUERY_KEYS_JSON = ['key', 'keys', 'startkey', 'endkey', 'atts_since']
 
-module.exports = function (opt) {
+// longer query strings with keys are sent as POST body
+const MAX_KEYS_QUERY_LENGTH = 2000
+
+// retry policy, maxAttempts = 1 disables retries
+const RETRY_DEFAULTS = {
+  maxAttempts: 1,
+  minDelay: 100, // ms
+  maxDelay: 10000, // ms
+  factor: 2,
+  jitter: true,
+  methods: ['GET', 'HEAD', 'PUT', 'DELETE', 'COPY'],
+  statusCodes: [408, 429, 502, 503, 504],
+  errorCodes: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'],
+  onRetry: null // function (response, attempt, delay)
+}
+
+/**
+ * Base class of all rejections
+ * Has the same properties as a response object plus the request method, path
+ * and url (credentials redacted).
+ */
+class CouchError extends Error {
+  constructor (response, request) {
+    super(response.message)
+    // message is enumerable like the other response properties
+    Object.defineProperty(this, 'message', {
+      value: response.message,
+      enumerable: true,
+      writable: true,
+      configurable: true
+    })
+    this.headers = response.headers || {}
+    this.data = response.data || {}
+    this.status = response.status
+    this.duration = response.duration
+    if (response.code) this.code = response.code
+    if (request) {
+      this.method = request.method
+      this.path = request.path
+      this.url = request.url
+    }
+  }
+}
+CouchError.prototype.name = 'CouchError'
+
+class InvalidRequestError extends CouchError {}
+InvalidRequestError.prototype.name = 'InvalidRequestError'
+
+class UnauthorizedError extends CouchError {}
+UnauthorizedError.prototype.name = 'UnauthorizedError'
+
+class NotFoundError extends CouchError {}
+NotFoundError.prototype.name = 'NotFoundError'
+
+class ConflictError extends CouchError {}
+ConflictError.prototype.name = 'ConflictError'
+
+class TimeoutError extends CouchError {}
+TimeoutError.prototype.name = 'TimeoutError'
+
+class NetworkError extends CouchError {}
+NetworkError.prototype.name = 'NetworkError'
+
+const ERROR_CLASSES = {
+  400: InvalidRequestError,
+  401: UnauthorizedError,
+  404: NotFoundError,
+  409: ConflictError
+}
+
+/**
+ * Resolve after the given time
+ * @param  {Number} ms
+ * @return {Promise}
+ */
+function sleep (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+/**
+ * Digest of an attachment response, 'md5-' and the base64 md5 of Content-MD5
+ * or else the ETag
+ * @param  {Object} headers
+ * @return {String} or undefined
+ */
+function attachmentDigest (headers) {
+  const md5 = headers['content-md5'] || (/^"([A-Za-z0-9+/]{22}==)"$/.exec(headers.etag || '') || [])[1]
+  return md5 ? `md5-${md5}` : undefined
+}
+
+/**
+ * Run a read-modify-write function again while it is rejected with a ConflictError
+ * @param  {Function} fn - returns a Promise
+ * @param  {Number} maxAttempts
+ * @return {Promise}
+ */
+function retryOnConflict (fn, maxAttempts) {
+  let attempt = 0
+  function run () {
+    attempt++
+    return fn().catch(err => {
+      if (err instanceof ConflictError && attempt < maxAttempts) {
+        return run()
+      }
+      return Promise.reject(err)
+    })
+  }
+  return run()
+}
+
+/**
+ * Incremental parser for view like responses {"total_rows":2,"rows":[{...},{...}]}
+ * Every element of the rows array is passed to onRow as soon as it is
+ * complete, all other top level properties are passed to onMeta.
+ * @param  {Function} onMeta - function (key, value)
+ * @param  {Function} onRow - function (row)
+ * @return {Object} {write(chunk), end()}
+ */
+function createRowParser (onMeta, onRow) {
+  let text = ''
+  let pos = 0 // next char to scan
+  let depth = 0
+  let inString = false
+  let escape = false
+  let expectKey = false
+  let keyStart = -1
+  let key = null
+  let valueStart = -1
+  let rowStart = -1
+
+  function scan () {
+    for (; pos < text.length; pos++) {
+      const c = text[pos]
+      if (inString) {
+        if (escape) {
+          escape = false
+        } else if (c === '\\') {
+          escape = true
+        } else if (c === '"') {
+          inString = false
+          if (depth === 1 && keyStart >= 0) {
+            key = JSON.parse(text.slice(keyStart, pos + 1))
+            keyStart = -1
+          }
+        }
+        continue
+      }
+      switch (c) {
+        case '"':
+          inString = true
+          if (depth === 1 && expectKey) {
+            expectKey = false
+            keyStart = pos
+            key = null
+          }
+          break
+        case ':':
+          // rows are passed one by one and never kept as a whole
+          if (depth === 1 && key !== 'rows') valueStart = pos + 1
+          break
+        case '{':
+        case '[':
+          depth++
+          if (depth === 1) expectKey = true
+          if (depth === 3 && key === 'rows') rowStart = pos
+          break
+        case '}':
+        case ']':
+          if (depth === 3 && key === 'rows') {
+            onRow(JSON.parse(text.slice(rowStart, pos + 1)))
+            rowStart = -1
+          }
+          if (depth === 1) endValue()
+          depth--
+          break
+        case ',':
+          if (depth === 1) {
+            endValue()
+            expectKey = true
+          }
+          break
+      }
+    }
+    // drop everything that is not needed anymore
+    const keep = [rowStart, valueStart, keyStart].filter(i => i >= 0)
+    const start = keep.length ? Math.min.apply(null, keep) : pos
+    text = text.slice(start)
+    pos -= start
+    if (rowStart >= 0) rowStart -= start
+    if (valueStart >= 0) valueStart -= start
+    if (keyStart >= 0) keyStart -= start
+  }
+
+  function endValue () {
+    if (valueStart >= 0) {
+      onMeta(key, JSON.parse(text.slice(valueStart, pos)))
+    }
+    valueStart = -1
+    key = null
+  }
+
+  return {
+    write: function (chunk) {
+      text += chunk
+      scan()
+    },
+    end: function () {
+      if (depth !== 0 || inString) throw new Error('Unexpected end of JSON input')
+    }
+  }
+}
+
+/**
+ * Create an async iterator from the events of an EventEmitter
+ * @param  {EventEmitter} emitter
+ * @param  {String} dataEvent - event name of the iterated values
+ * @param  {String} endEvent - event name that terminates the iteration
+ * @param  {Object} [opts] - {highWaterMark, pause, resume, stop} callbacks
+ * @return {Object} async iterator
+ */
+function eventIterator (emitter, dataEvent, endEvent, opts) {
+  const options = Object.assign({highWaterMark: 100}, opts)
+  const values = []
+  const pending = []
+  let error = null
+  let done = false
+  let paused = false
+
+  function settle () {
+    while (pending.length && (values.length || error || done)) {
+      const p = pending.shift()
+      if (values.length) {
+        p.resolve({value: values.shift(), done: false})
+      } else if (error) {
+        p.reject(error)
+        error = null
+        done = true
+      } else {
+        p.resolve({value: undefined, done: true})
+      }
+    }
+    if (paused && values.length < options.highWaterMark && options.resume) {
+      paused = false
+      options.resume()
+    }
+  }
+
+  function onData (value) {
+    values.push(value)
+    if (!paused && values.length >= options.highWaterMark && options.pause) {
+      paused = true
+      options.pause()
+    }
+    settle()
+  }
+
+  function onError (err) {
+    error = err
+    cleanup()
+    settle()
+  }
+
+  function onEnd () {
+    done = true
+    cleanup()
+    settle()
+  }
+
+  function cleanup () {
+    emitter.removeListener(dataEvent, onData)
+    emitter.removeListener('error', onError)
+    emitter.removeListener(endEvent, onEnd)
+  }
+
+  emitter.on(dataEvent, onData)
+  emitter.on('error', onError)
+  emitter.on(endEvent, onEnd)
+
+  return asyncIterable({
+    next: function () {
+      return new Promise(function (resolve, reject) {
+        pending.push({resolve: resolve, reject: reject})
+        settle()
+      })
+    },
+    return: function () {
+      cleanup()
+      done = true
+      values.length = 0
+      if (options.stop) options.stop()
+      settle()
+      return Promise.resolve({value: undefined, done: true})
+    }
+  })
+}
+
+/**
+ * Make an iterator usable with for-await-of (if supported by the runtime)
+ * @param  {Object} iterator
+ * @return {Object} iterator
+ */
+function asyncIterable (iterator) {
+  if (typeof Symbol.asyncIterator === 'symbol') {
+    iterator[Symbol.asyncIterator] = function () { return iterator }
+  }
+  return iterator
+}
+
+/**
+ * Create an async iterator of pages of a view like query
+ * Pages are fetched with limit = pageSize + 1, the extra row is the start
+ * (startkey, startkey_docid) of the next page. A limit in queryObj caps the
+ * total number of rows.
+ * @param  {Function} fetch - function (queryObj) returns Promise of response
+ * @param  {Object} [queryObj]
+ * @param  {Object} [opts] - {pageSize=100}
+ * @param  {Boolean} byDocId - use startkey_docid for rows with equal keys
+ * @return {Object} async iterator of response objects with .rows() iterator
+ */
+function createPaginator (fetch, queryObj, opts, byDocId) {
+  const settings = Object.assign({pageSize: 100}, opts)
+  const query = Object.assign({}, queryObj)
+  assert(settings.pageSize >= 1, 'pageSize >= 1')
+  assert(query.keys === undefined, 'keys are not supported')
+
+  if (query.key !== undefined) {
+    query.startkey = query.endkey = query.key
+    delete query.key
+  }
+  let remaining = query.limit
+  delete query.limit
+
+  let next = null
+  let done = false
+
+  function fetchPage () {
+    if (done || remaining <= 0) {
+      done = true
+      return {value: undefined, done: true}
+    }
+    const size = remaining === undefined ? settings.pageSize : Math.min(settings.pageSize, remaining)
+    const q = Object.assign({}, query, {limit: size + 1})
+    if (next) {
+      // continue from the first row of the next page
+      delete q.skip
+      delete q.start_key
+      delete q.start_key_doc_id
+      q.startkey = next.key
+      if (byDocId && next.id !== undefined) q.startkey_docid = next.id
+    }
+    return fetch(q).then(response => {
+      const rows = response.data.rows
+      if (rows.length > size) {
+        next = {key: rows[size].key, id: rows[size].id}
+        response.data.rows = rows.slice(0, size)
+      } else {
+        done = true
+      }
+      if (remaining !== undefined) remaining -= response.data.rows.length
+      if (!response.data.rows.length) {
+        done = true
+        return {value: undefined, done: true}
+      }
+      return {value: response, done: false}
+    })
+  }
+
+  const pages = pageIterator(fetchPage, () => { done = true })
+
+  /**
+   * Iterate rows instead of pages
+   * @return {Object} async iterator
+   */
+  pages.rows = () => itemIterator(pages, 'rows')
+
+  return pages
+}
+
+/**
+ * Create an async iterator of pages of a Mango query
+ * Follows the bookmark of every page until no more documents are returned.
+ * A limit in queryObj caps the total number of documents.
+ * @param  {Function} fetch - function (queryObj) returns Promise of response
+ * @param  {Object} queryObj
+ * @param  {Object} [opts] - {pageSize=25}
+ * @return {Object} async iterator of response objects with .docs() iterator
+ */
+function createFindPaginator (fetch, queryObj, opts) {
+  const settings = Object.assign({pageSize: 25}, opts)
+  const query = Object.assign({}, queryObj)
+  assert(settings.pageSize >= 1, 'pageSize >= 1')
+
+  let remaining = query.limit
+  delete query.limit
+
+  let bookmark = query.bookmark
+  let done = false
+
+  function fetchPage () {
+    if (done || remaining <= 0) {
+      done = true
+      return {value: undefined, done: true}
+    }
+    const size = remaining === undefined ? settings.pageSize : Math.min(settings.pageSize, remaining)
+    const q = Object.assign({}, query, {limit: size})
+    if (bookmark) {
+      delete q.skip
+      q.bookmark = bookmark
+    }
+    return fetch(q).then(response => {
+      const docs = response.data.docs
+      bookmark = response.data.bookmark
+      if (remaining !== undefined) remaining -= docs.length
+      if (docs.length < size || !bookmark) done = true
+      if (!docs.length) {
+        done = true
+        return {value: undefined, done: true}
+      }
+      return {value: response, done: false}
+    })
+  }
+
+  const pages = pageIterator(fetchPage, () => { done = true })
+
+  /**
+   * Iterate documents instead of pages
+   * @return {Object} async iterator
+   */
+  pages.docs = () => itemIterator(pages, 'docs')
+
+  return pages
+}
+
+/**
+ * Built-in conflict resolution strategies
+ * A strategy gets all leaf documents (winning revision first) and returns
+ * the document to keep.
+ */
+const CONFLICT_STRATEGIES = {
+  // the revision with the longest history, CouchDB's own winner rule
+  'deepest-rev': function (docs) {
+    return docs.slice().sort(compareRevisions)[0]
+  },
+  // the revision with the latest timestamp in opts.timestampField
+  'latest-timestamp': function (docs, opts) {
+    const field = opts.timestampField
+    const time = doc => {
+      const value = doc[field]
+      const t = typeof value === 'number' ? value : Date.parse(value)
+      return isNaN(t) ? -Infinity : t
+    }
+    return docs.slice().sort((a, b) => time(b) - time(a) || compareRevisions(a, b))[0]
+  }
+}
+
+/**
+ * Sort documents by revision, deepest first
+ * @param  {Object} a - doc
+ * @param  {Object} b - doc
+ * @return {Number}
+ */
+function compareRevisions (a, b) {
+  const depth = doc => parseInt(doc._rev, 10)
+  const hash = doc => doc._rev.slice(doc._rev.indexOf('-') + 1)
+  return depth(b) - depth(a) || (hash(a) < hash(b) ? 1 : hash(a) > hash(b) ? -1 : 0)
+}
+
+/**
+ * Read a stream into a Buffer
+ * @param  {stream.Readable} readable
+ * @return {Promise}
+ */
+function streamToBuffer (readable) {
+  return new Promise(function (resolve, reject) {
+    const chunks = []
+    readable.on('data', chunk => chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)))
+    readable.on('end', () => resolve(Buffer.concat(chunks)))
+    readable.on('error', reject)
+  })
+}
+
+/**
+ * Pass-through stream that computes the md5 of the passed data
+ * @param  {Function} onDigest - function (digest) called at the end with 'md5-{base64}'
+ * @return {stream.Transform}
+ */
+function createDigestStream (onDigest) {
+  const md5 = crypto.createHash('md5')
+  return new stream.Transform({
+    transform: function (chunk, encoding, callback) {
+      md5.update(chunk)
+      callback(null, chunk)
+    },
+    flush: function (callback) {
+      onDigest(`md5-${md5.digest('base64')}`)
+      callback()
+    }
+  })
+}
+
+/**
+ * Concatenate Buffers and Readable streams into one stream
+ * Streams are read one after another, errors are forwarded.
+ * @param  {Array} parts
+ * @return {stream.Readable}
+ */
+function concatStreams (parts) {
+  const out = new stream.PassThrough()
+  function next (i) {
+    if (i === parts.length) return out.end()
+    const part = parts[i]
+    if (Buffer.isBuffer(part)) {
+      out.write(part)
+      return next(i + 1)
+    }
+    part.once('error', err => out.emit('error', err))
+    part.once('end', () => next(i + 1))
+    part.pipe(out, {end: false})
+  }
+  next(0)
+  return out
+}
+
+/**
+ * Split a multipart body into parts
+ * Works for strings and Buffers, the part body has the type of the input.
+ * @param  {String|Buffer} body
+ * @param  {String} contentType - e.g. 'multipart/mixed; boundary="abc"'
+ * @return {Array} [{headers, body}]
+ */
+function parseMultipart (body, contentType) {
+  const match = /boundary="?([^";]+)"?/i.exec(contentType || '')
+  if (!match) return []
+  const delimiter = `--${match[1]}`
+  const parts = []
+  let pos = body.indexOf(delimiter)
+  while (pos !== -1) {
+    const start = pos + delimiter.length
+    if (body.slice(start, start + 2).toString() === '--') break
+    pos = body.indexOf(delimiter, start)
+    if (pos === -1) break
+    // each part: CRLF headers CRLF CRLF body CRLF
+    const part = body.slice(start, pos)
+    const headerEnd = part.indexOf('\r\n\r\n')
+    const headers = {}
+    part.slice(0, headerEnd).toString().split('\r\n').forEach(line => {
+      const i = line.indexOf(':')
+      if (i > 0) headers[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim()
+    })
+    parts.push({headers: headers, body: part.slice(headerEnd + 4, part.length - 2)})
+  }
+  return parts
+}
+
+/**
+ * Incremental multipart parser
+ * onPart(headers) is called for every part and returns a writable stream
+ * for the part body. write() returns false if that stream needs to drain,
+ * end() throws if the body ended before the closing delimiter.
+ * @param  {String} contentType - e.g. 'multipart/related; boundary="abc"'
+ * @param  {Function} onPart
+ * @return {Object} {write(chunk), end(), part}
+ */
+function createMultipartParser (contentType, onPart) {
+  const match = /boundary="?([^";]+)"?/i.exec(contentType || '')
+  assert(match, 'multipart boundary')
+  const delimiter = Buffer.from(`\r\n--${match[1]}`)
+  // the first delimiter is not preceded by CRLF
+  let buffer = Buffer.from('\r\n')
+  let state = 'preamble'
+  let ok = true
+
+  const parser = {
+    part: null,
+    write: function (chunk) {
+      buffer = Buffer.concat([buffer, chunk])
+      ok = true
+      while (step()) {}
+      return ok
+    },
+    end: function () {
+      if (state !== 'epilogue') throw new Error('unexpected end of multipart body')
+    }
+  }
+
+  function step () {
+    let i
+    switch (state) {
+      case 'preamble':
+        i = buffer.indexOf(delimiter)
+        if (i === -1) return false
+        buffer = buffer.slice(i + delimiter.length)
+        state = 'delimiter'
+        return true
+      case 'delimiter':
+        if (buffer.length < 2) return false
+        if (buffer.slice(0, 2).toString() === '--') {
+          state = 'epilogue'
+          return false
+        }
+        i = buffer.indexOf('\r\n')
+        if (i === -1) return false
+        buffer = buffer.slice(i + 2)
+        state = 'headers'
+        return true
+      case 'headers': {
+        i = buffer.slice(0, 2).toString() === '\r\n' ? 0 : buffer.indexOf('\r\n\r\n')
+        if (i === -1) return false
+        const headers = {}
+        buffer.slice(0, i).toString().split('\r\n').forEach(line => {
+          const j = line.indexOf(':')
+          if (j > 0) headers[line.slice(0, j).trim().toLowerCase()] = line.slice(j + 1).trim()
+        })
+        buffer = buffer.slice(i === 0 ? 2 : i + 4)
+        parser.part = onPart(headers)
+        state = 'body'
+        return true
+      }
+      case 'body':
+        i = buffer.indexOf(delimiter)
+        if (i === -1) {
+          // keep a possibly incomplete delimiter
+          const safe = buffer.length - delimiter.length + 1
+          if (safe > 0) {
+            ok = parser.part.write(buffer.slice(0, safe)) && ok
+            buffer = buffer.slice(safe)
+          }
+          return false
+        }
+        if (i > 0) ok = parser.part.write(buffer.slice(0, i)) && ok
+        parser.part.end()
+        parser.part = null
+        buffer = buffer.slice(i + delimiter.length)
+        state = 'delimiter'
+        return true
+      default:
+        return false
+    }
+  }
+
+  return parser
+}
+
+/**
+ * Convert a design document definition to JSON, functions become strings
+ * @param  {Object} def
+ * @return {Object}
+ */
+function serializeDesignDocument (def) {
+  function serialize (value, path) {
+    if (typeof value === 'function') {
+      const src = value.toString()
+      if (/^function\b/.test(src)) return src
+      // the query server (SpiderMonkey 1.8.5) knows neither arrow nor async functions
+      if (/^(async\s+)?(\([^)]*\)|[\w$]+)\s*=>/.test(src) || /^async\s+[^\s(]/.test(src)) {
+        throw new Error(`invalid function '${path}': arrow and async functions are not supported`)
+      }
+      // method shorthand: {map (doc) {...}}, {'map' (doc) {...}}
+      return `function ${src.slice(src.indexOf('('))}`
+    }
+    if (Array.isArray(value)) return value.map((item, i) => serialize(item, `${path}.${i}`))
+    if (value && typeof value === 'object') {
+      const obj = {}
+      Object.keys(value).forEach(key => { obj[key] = serialize(value[key], path ? `${path}.${key}` : key) })
+      return obj
+    }
+    return value
+  }
+  return Object.assign({language: 'javascript'}, serialize(def, ''))
+}
+
+/**
+ * List the fields of a design document that differ, e.g. ['views.byName']
+ * @param  {Object} current - document on the server
+ * @param  {Object} wanted
+ * @return {Array}
+ */
+function designDocumentDiff (current, wanted) {
+  const fields = []
+  const keys = Object.keys(Object.assign({}, current, wanted))
+    .filter(key => key !== '_id' && key !== '_rev')
+  keys.forEach(key => {
+    const a = current[key]
+    const b = wanted[key]
+    const isObject = value => value && typeof value === 'object' && !Array.isArray(value)
+    if (isObject(a) && isObject(b)) {
+      Object.keys(Object.assign({}, a, b)).forEach(name => {
+        if (stableStringify(a[name]) !== stableStringify(b[name])) fields.push(`${key}.${name}`)
+      })
+    } else if (stableStringify(a) !== stableStringify(b)) {
+      fields.push(key)
+    }
+  })
+  return fields
+}
+
+/**
+ * JSON.stringify with sorted object keys
+ * @param  {*} value
+ * @return {String}
+ */
+function stableStringify (value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`
+  }
+  return JSON.stringify(value)
+}
+
+/**
+ * Read an Array, iterable or async iterable in batches
+ * The returned function resolves with the next batch or null at the end,
+ * concurrent calls are served one after another.
+ * @param  {Array|Object} source
+ * @param  {Number} size
+ * @return {Function}
+ */
+function batchReader (source, size) {
+  const asyncIterator = typeof Symbol.asyncIterator === 'symbol' && source[Symbol.asyncIterator]
+  assert(asyncIterator || source[Symbol.iterator], 'docs is iterable')
+  const iterator = asyncIterator ? source[Symbol.asyncIterator]() : source[Symbol.iterator]()
+  let done = false
+  let pending = Promise.resolve()
+
+  function read (batch) {
+    if (done || batch.length === size) return batch.length ? batch : null
+    return Promise.resolve(iterator.next()).then(item => {
+      if (item.done) {
+        done = true
+      } else {
+        batch.push(item.value)
+      }
+      return read(batch)
+    })
+  }
+
+  return function nextBatch () {
+    pending = pending.then(() => read([]))
+    return pending
+  }
+}
+
+/**
+ * Async iterator of pages, pages are fetched one after another
+ * @param  {Function} fetchPage - returns iterator result or Promise of it
+ * @param  {Function} stop - called when the iteration ends early
+ * @return {Object} async iterator
+ */
+function pageIterator (fetchPage, stop) {
+  let pending = Promise.resolve()
+  return asyncIterable({
+    next: function () {
+      pending = pending.then(fetchPage, fetchPage)
+      return pending
+    },
+    return: function () {
+      stop()
+      return Promise.resolve({value: undefined, done: true})
+    }
+  })
+}
+
+/**
+ * Async iterator of the items of all pages
+ * @param  {Object} pages - async iterator of response objects
+ * @param  {String} key - property of response.data that holds the items
+ * @return {Object} async iterator
+ */
+function itemIterator (pages, key) {
+  let buffer = []
+  const iterator = asyncIterable({
+    next: function () {
+      if (buffer.length) return Promise.resolve({value: buffer.shift(), done: false})
+      return pages.next().then(page => {
+        if (page.done) return page
+        buffer = page.value.data[key].slice()
+        return iterator.next()
+      })
+    },
+    return: function () {
+      buffer = []
+      return pages.return()
+    }
+  })
+  return iterator
+}
+
+module.exports = couchdb
+
+function couchdb (opt) {
   const config = {
     requestTimeout: 10000, // ms
     verifyCertificate: true
@@ -25,6 +817,13 @@ module.exports = function (opt) {
   if (typeof config.verifyCertificate !== 'boolean') {
     throw new Error(`invalid property 'verifyCertificate'`)
   }
+  if (config.middleware !== undefined && !Array.isArray(config.middleware)) {
+    throw new Error(`invalid property 'middleware'`)
+  }
+  config.retry = Object.assign({}, RETRY_DEFAULTS, config.retry)
+  if (!(config.retry.maxAttempts >= 1)) {
+    throw new Error(`invalid property 'retry'`)
+  }
 
   const o = urlParse(config.baseUrl)
   if (!(
@@ -34,10 +833,24 @@ module.exports = function (opt) {
     o.hostname)
   ) throw new Error('invalid baseUrl')
 
+  // credentials from the auth property take precedence over baseUrl
+  const auth = config.auth ? Object.assign({}, config.auth) : null
+  if (auth) {
+    if (o.auth && !auth.username) {
+      auth.username = decodeURIComponent(o.auth.split(':')[0])
+      auth.password = decodeURIComponent(o.auth.split(':').slice(1).join(':'))
+    }
+    if (!(
+      ['basic', 'cookie'].indexOf(auth.type) >= 0 &&
+      typeof auth.username === 'string' &&
+      typeof auth.password === 'string')
+    ) throw new Error(`invalid property 'auth'`)
+  }
+
   const httpOptions = {
     hostname: o.host && o.host.split(':')[0],
     port: o.port,
-    auth: o.auth,
+    auth: auth ? (auth.type === 'basic' ? `${auth.username}:${auth.password}` : undefined) : o.auth,
     protocol: o.protocol,
     rejectUnauthorized: config.verifyCertificate,
     headers: {
@@ -46,6 +859,227 @@ module.exports = function (opt) {
     }
   }
 
+  // cookie authentication
+  const session = {
+    cookie: null,
+    pending: null
+  }
+
+  function useCookieAuth (param) {
+    // login and logout must not wait for a session
+    const isSessionRequest = param.path === '_session' && param.method !== 'GET'
+    return auth && auth.type === 'cookie' && !isSessionRequest
+  }
+
+  function updateSession (headers) {
+    // CouchDB sends a renewed cookie when the session is about to expire
+    const cookies = [].concat(headers['set-cookie'] || [])
+    const cookie = cookies.find(c => c.indexOf('AuthSession=') === 0)
+    if (cookie) {
+      const value = cookie.split(';')[0]
+      session.cookie = value === 'AuthSession=' ? null : value
+    }
+  }
+
+  function ensureSession () {
+    if (session.cookie) return Promise.resolve()
+    if (!session.pending) {
+      session.pending = couch.login()
+      .then(() => { session.pending = null })
+      .catch(response => {
+        session.pending = null
+        return Promise.reject(response)
+      })
+    }
+    return session.pending
+  }
+
+  function withSession (fn, param) {
+    if (!useCookieAuth(param)) return fn(param)
+    // a failed login is not retried, only a 401 of the request itself
+    return ensureSession()
+    .then(() => fn(param)
+      .catch(response => {
+        // re-authenticate once if the session has expired, streams can't be resent
+        const canRetry = !param.stream && !(param.postData && typeof param.postData.pipe === 'function')
+        if (response.status !== 401 || !canRetry) return Promise.reject(response)
+        session.cookie = null
+        return ensureSession().then(() => fn(param))
+      })
+    )
+  }
+
+  // errors
+
+  function requestInfo (options) {
+    if (!options) return null
+    const auth = options.auth ? `${options.auth.split(':')[0]}:***@` : ''
+    return {
+      method: options.method,
+      path: options.path,
+      url: `${options.protocol}//${auth}${o.host}${options.path}`
+    }
+  }
+
+  function createError (response, options) {
+    const ErrorClass = ERROR_CLASSES[response.status] || CouchError
+    return new ErrorClass(response, requestInfo(options))
+  }
+
+  function createTimeoutError (t0, options) {
+    return new TimeoutError({
+      headers: {},
+      data: {error: 'request timed out'},
+      status: 500,
+      code: 'ETIMEDOUT',
+      message: 'Error: request timed out',
+      duration: Date.now() - t0
+    }, requestInfo(options))
+  }
+
+  function createNetworkError (err, t0, options) {
+    return new NetworkError({
+      headers: {},
+      data: {error: err.code || 'network_error', reason: err.message},
+      status: 500,
+      code: err.code,
+      message: err.message || 'internal error',
+      duration: Date.now() - t0
+    }, requestInfo(options))
+  }
+
+  // middleware
+
+  const middlewares = []
+
+  function addMiddleware (middleware) {
+    const m = typeof middleware === 'function' ? {request: middleware} : middleware
+    assert(m && ['request', 'response', 'error'].some(hook => typeof m[hook] === 'function'), 'is middleware')
+    middlewares.push(m)
+  }
+
+  function withMiddleware (fn, param) {
+    if (!middlewares.length) return fn(param)
+
+    const options = param.options || {}
+    // the request as seen by the middleware
+    const req = {
+      method: param.method || 'GET',
+      path: '/' + (options.query ? applyQuery(param.path, options.query) : param.path),
+      headers: Object.assign({}, param.headers, options.headers),
+      body: param.postData
+    }
+
+    function pipe (hook, value) {
+      // every hook may return a replacement value (or a promise of it)
+      return middlewares.reduce((promise, m) => {
+        if (typeof m[hook] !== 'function') return promise
+        return promise.then(value => Promise.resolve(m[hook](value, req)).then(ret => ret || value))
+      }, Promise.resolve(value))
+    }
+
+    return pipe('request', req)
+    .then(req2 => {
+      Object.assign(req, req2)
+      return fn(Object.assign({}, param, {
+        method: req.method,
+        path: req.path.replace(/^\//, ''),
+        postData: req.body,
+        options: Object.assign({}, options, {headers: req.headers, query: undefined})
+      }))
+    })
+    .then(
+      response => pipe('response', response),
+      err => pipe('error', err).then(err2 => Promise.reject(err2))
+    )
+  }
+
+  // retry
+
+  function isRetryable (policy, param, response) {
+    const code = response.code
+    // reads sent as POST are marked idempotent
+    if (policy.methods.indexOf(param.method || 'GET') < 0 && !param.idempotent) return false
+    // a consumed upload stream can't be resent
+    if (param.postData && typeof param.postData.pipe === 'function') return false
+    // a response body that is already piped into the given stream neither
+    if (param.stream && !code) return false
+    return code
+      ? policy.errorCodes.indexOf(code) >= 0
+      : policy.statusCodes.indexOf(response.status) >= 0
+  }
+
+  function backoff (policy, attempt) {
+    const delay = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt - 1))
+    return policy.jitter ? Math.round(delay / 2 + Math.random() * delay / 2) : delay
+  }
+
+  function withRetry (fn, param) {
+    const retry = param.options && param.options.retry
+    if (retry === false) return fn(param)
+    const policy = Object.assign({}, config.retry, retry)
+    if (policy.maxAttempts <= 1) return fn(param)
+
+    const t0 = Date.now()
+    let attempt = 0
+
+    function settle (response) {
+      // report attempts and total duration
+      response.attempts = attempt
+      response.duration = Date.now() - t0
+      return response
+    }
+
+    function run () {
+      attempt++
+      return fn(param).then(settle, response => {
+        if (attempt < policy.maxAttempts && isRetryable(policy, param, response)) {
+          const delay = backoff(policy, attempt)
+          if (policy.onRetry) policy.onRetry(response, attempt, delay)
+          return sleep(delay).then(run)
+        }
+        return Promise.reject(settle(response))
+      })
+    }
+    return run()
+  }
+
+  function applyQuery (path, queryObj) {
+    // merge query overrides into the query string of path
+    const idx = path.indexOf('?')
+    const base = idx >= 0 ? path.slice(0, idx) : path
+    const query = idx >= 0 ? querystring.parse(path.slice(idx + 1)) : {}
+    Object.assign(query, querystring.parse(createQueryString(queryObj).slice(1)))
+    const queryStr = querystring.stringify(query)
+    return queryStr ? `${base}?${queryStr}` : base
+  }
+
+  function createHttpOptions (param, headers) {
+    // every request gets its own copy of the http options
+    const options = param.options || {}
+    const path = options.query ? applyQuery(param.path, options.query) : param.path
+    return Object.assign({}, httpOptions, {
+      method: param.method,
+      path: '/' + path,
+      headers: Object.assign(
+        {},
+        httpOptions.headers,
+        session.cookie ? {cookie: session.cookie} : {},
+        param.headers,
+        headers,
+        options.headers
+      )
+    })
+  }
+
+  function requestTimeout (param) {
+    // per call timeout, then function specific timeout; 0 disables the timeout
+    const options = param.options || {}
+    if (options.timeout !== undefined) return options.timeout
+    if (param.timeout !== undefined) return param.timeout
+    return config.requestTimeout
+  }
+
   function createQueryString (queryObj) {
     const obj = Object.assign({}, queryObj)
     QUERY_KEYS_JSON.forEach(key => {
@@ -56,28 +1090,47 @@ module.exports = function (opt) {
     return Object.keys(obj).length ? `?${querystring.stringify(obj)}` : ''
   }
 
+  function viewParam (path, queryObj, options) {
+    let query = queryObj
+    let postData
+    if (query && query.keys && createQueryString(query).length > MAX_KEYS_QUERY_LENGTH) {
+      query = Object.assign({}, queryObj)
+      postData = {keys: query.keys}
+      delete query.keys
+    }
+    return {
+      path: `${path}${createQueryString(query)}`,
+      method: postData ? 'POST' : 'GET',
+      // the POST only carries the keys, it reads like the GET
+      idempotent: true,
+      options: options,
+      postData: postData,
+      statusCodes: {
+        200: 'OK - Request completed successfully'
+      }
+    }
+  }
+
   function statusCode (statusCodes, status) {
     const codes = Object.assign({}, http.STATUS_CODES, statusCodes)
     return codes[status] || 'unknown status'
   }
 
   function request (param) {
-    const t0 = Date.now()
+    return withMiddleware(p => withRetry(p2 => withSession(sendRequest, p2), p), param)
+  }
 
-    httpOptions.method = param.method
-    httpOptions.path = '/' + param.path
+  function sendRequest (param) {
+    const t0 = Date.now()
 
     const statusCodes = param.statusCodes
     const postData = param.postData
     const postContentType = param.postContentType
-
-    // If passed, propagate Destination header required for HTTP COPY
-    if (param.headers && param.headers.Destination) {
-      httpOptions.headers.Destination = param.headers.Destination
-    }
+    const headers = {}
 
     let body
     let stream
+    let digest
     let error
 
     if (Buffer.isBuffer(postData)) {
@@ -85,14 +1138,18 @@ module.exports = function (opt) {
       // buffer
       //
       body = postData
-      httpOptions.headers['content-type'] = postContentType
-      httpOptions.headers['content-length'] = Buffer.byteLength(postData)
+      headers['content-type'] = postContentType
+      headers['content-length'] = Buffer.byteLength(postData)
     } else if (postData && postData.readable && typeof postData._read === 'function') {
       //
       // stream
       //
-      httpOptions.headers['content-type'] = postContentType
-      httpOptions.headers['Transfer-Encoding'] = 'chunked'
+      headers['content-type'] = postContentType
+      if (param.contentLength !== undefined) {
+        headers['content-length'] = param.contentLength
+      } else {
+        headers['Transfer-Encoding'] = 'chunked'
+      }
       stream = postData
     } else if (Object.prototype.toString.call(postData) === '[object Object]') {
       //
@@ -100,35 +1157,38 @@ module.exports = function (opt) {
       //
       try {
         body = JSON.stringify(postData)
+        headers['content-type'] = 'application/json'
+        headers['content-length'] = Buffer.byteLength(body)
       } catch (err) {
         error = err
       }
-      httpOptions.headers['content-type'] = 'application/json'
-      httpOptions.headers['content-length'] = Buffer.byteLength(body)
     } else if (typeof postData === 'string') {
       //
       // string
       //
       body = postData
-      httpOptions.headers['content-type'] = postContentType
-      httpOptions.headers['content-length'] = body.length
+      headers['content-type'] = postContentType
+      headers['content-length'] = Buffer.byteLength(body)
     } else if (postData || postData === null) {
       error = 'unsupported post data'
     }
 
+    const options = createHttpOptions(param, headers)
+
     if (error) {
-      return Promise.reject({
+      return Promise.reject(createError({
         headers: {},
-        data: {error: error},
+        data: {error: error.message || error},
         status: 400,
         message: 'invalid post data',
         duration: Date.now() - t0
-      })
+      }, options))
     }
 
     return new Promise(function (resolve, reject) {
-      const lib = httpOptions.protocol === 'https:' ? https : http
-      const req = lib.request(httpOptions, function (res) {
+      const lib = options.protocol === 'https:' ? https : http
+      const req = lib.request(options, function (res) {
+        updateSession(res.headers)
         let buffer = ''
         res.setEncoding('utf8')
         res.on('data', function (data) {
@@ -139,7 +1199,7 @@ module.exports = function (opt) {
           try {
             let data
             // Sometimes CouchDB ignores our accept header 'application/json'
-            if (res.headers['content-type'] === 'application/json') {
+            if (/^application\/json\b/.test(res.headers['content-type'])) {
               data = JSON.parse(buffer || '{}')
             } else {
               data = {text: buffer}
@@ -151,6 +1211,7 @@ module.exports = function (opt) {
               message: statusCode(statusCodes, res.statusCode),
               duration: Date.now() - t0
             }
+            if (digest) ret.digest = digest
           } catch (err) {
             ret = {
               headers: res.headers,
@@ -164,42 +1225,45 @@ module.exports = function (opt) {
           if (ret.status < 400) {
             return resolve(ret)
           } else {
-            return reject(ret)
+            return reject(createError(ret, options))
           }
         })
       })
 
-      req.setTimeout(config.requestTimeout, function () {
+      req.setTimeout(requestTimeout(param), function () {
         req.abort()
-        reject({
-          headers: {},
-          data: {error: 'request timed out'},
-          status: 500,
-          message: 'Error: request timed out',
-          duration: Date.now() - t0
-        })
+        reject(createTimeoutError(t0, options))
       })
 
       req.on('error', function (err) {
-        reject({
-          headers: {},
-          data: {error: err},
-          status: 500,
-          message: err.message || 'internal error',
-          duration: Date.now() - t0
-        })
+        reject(createNetworkError(err, t0, options))
       })
 
       if (body) {
         req.write(body)
         req.end()
       } else if (stream) {
-        stream.on('data', function (chunk) {
-          req.write(chunk)
-        })
-        stream.on('end', function () {
-          req.end()
+        // pipe respects backpressure, the md5 of the sent data is the response digest
+        const hashing = createDigestStream(value => { digest = value })
+        // a failed or aborted request releases the source, e.g. its file handle
+        const release = function () {
+          stream.unpipe(hashing)
+          if (typeof stream.destroy === 'function') stream.destroy()
+        }
+        stream.on('error', function (err) {
+          release()
+          req.abort()
+          reject(new CouchError({
+            headers: {},
+            data: {error: 'stream_error', reason: err.message},
+            status: 500,
+            message: err.message || 'stream error',
+            duration: Date.now() - t0
+          }, requestInfo(options)))
         })
+        req.on('error', release)
+        req.on('abort', release)
+        stream.pipe(hashing).pipe(req)
       } else {
         req.end()
       }
@@ -207,20 +1271,32 @@ module.exports = function (opt) {
   }
 
   function requestStream (param) {
+    return withMiddleware(p => withRetry(p2 => withSession(sendRequestStream, p2), p), param)
+  }
+
+  function sendRequestStream (param) {
     const t0 = Date.now()
 
     const statusCodes = param.statusCodes
     const stream = param.stream
+    const headers = {}
 
-    assert(stream && stream.writable && typeof stream.pipe === 'function', 'is writeable stream')
+    // without a writable stream the response is resolved as readable stream
+    assert(!stream || (stream.writable && typeof stream.pipe === 'function'), 'is writeable stream')
+
+    let body
+    if (param.postData) {
+      body = JSON.stringify(param.postData)
+      headers['content-type'] = 'application/json'
+      headers['content-length'] = Buffer.byteLength(body)
+    }
 
-    httpOptions.method = 'GET'
-    httpOptions.path = '/' + param.path
+    const options = createHttpOptions(Object.assign({method: 'GET'}, param), headers)
 
     return new Promise(function (resolve, reject) {
-      const lib = httpOptions.protocol === 'https:' ? https : http
-      const req = lib.request(httpOptions, function (res) {
-        res.pipe(stream)
+      const lib = options.protocol === 'https:' ? https : http
+      const req = lib.request(options, function (res) {
+        updateSession(res.headers)
         const ret = {
           headers: res.headers,
           status: res.statusCode,
@@ -228,40 +1304,166 @@ module.exports = function (opt) {
           duration: Date.now() - t0
         }
 
+        if (ret.status >= 400 && !stream) {
+          // read error body
+          let buffer = ''
+          res.setEncoding('utf8')
+          res.on('data', function (data) {
+            buffer += data
+          })
+          res.on('end', function () {
+            try {
+              ret.data = JSON.parse(buffer || '{}')
+            } catch (err) {
+              ret.data = {text: buffer}
+            }
+            ret.duration = Date.now() - t0
+            return reject(createError(ret, options))
+          })
+          return
+        }
+
+        if (stream) {
+          res.pipe(stream)
+        } else {
+          ret.stream = res
+        }
+
         if (ret.status < 400) {
           return resolve(ret)
         } else {
-          return reject(ret)
+          return reject(createError(ret, options))
         }
       })
 
-      req.setTimeout(config.requestTimeout, function () {
+      req.setTimeout(requestTimeout(param), function () {
         req.abort()
-        reject({
-          headers: {},
-          data: {error: 'request timed out'},
-          status: 500,
-          message: 'Error: request timed out',
-          duration: Date.now() - t0
-        })
+        reject(createTimeoutError(t0, options))
       })
 
       req.on('error', function (err) {
-        reject({
-          headers: {},
-          data: {error: err},
-          status: 500,
-          message: err.message || 'internal error',
-          duration: Date.now() - t0
-        })
+        reject(createNetworkError(err, t0, options))
       })
 
+      if (body) {
+        req.write(body)
+      }
       req.end()
     })
   }
 
+  function requestRows (param) {
+    // readable object stream of the parsed rows of a view like response
+    const t0 = Date.now()
+    let response = null
+    let metaEmitted = false
+    let destroyed = false
+
+    const rows = new stream.Readable({
+      objectMode: true,
+      read: function () {
+        if (response) response.resume()
+      },
+      destroy: function (err, callback) {
+        destroyed = true
+        if (response) response.destroy()
+        callback(err)
+      }
+    })
+
+    function invalidResponse (err, ret) {
+      return new CouchError({
+        headers: ret.headers,
+        data: {error: err.message},
+        status: 500,
+        message: err.message || 'invalid response',
+        duration: Date.now() - t0
+      })
+    }
+
+    function fail (err) {
+      if (typeof rows.destroy === 'function') {
+        rows.destroy(err)
+      } else {
+        rows.emit('error', err)
+      }
+    }
+
+    function emitMeta () {
+      if (metaEmitted) return
+      metaEmitted = true
+      rows.emit('meta', {
+        total_rows: rows.total_rows,
+        offset: rows.offset,
+        update_seq: rows.update_seq
+      })
+    }
+
+    const parser = createRowParser(function (key, value) {
+      rows[key] = value
+    }, function (row) {
+      emitMeta()
+      if (!rows.push(row)) response.pause()
+    })
+
+    requestStream(param)
+    .then(ret => {
+      if (destroyed) {
+        // destroyed before the response arrived, don't download it
+        return ret.stream.destroy()
+      }
+      response = ret.stream
+      rows.headers = ret.headers
+      rows.status = ret.status
+      response.setEncoding('utf8')
+      response.on('data', function (chunk) {
+        try {
+          parser.write(chunk)
+        } catch (err) {
+          fail(invalidResponse(err, ret))
+        }
+      })
+      response.on('end', function () {
+        try {
+          parser.end()
+          emitMeta()
+          rows.push(null)
+        } catch (err) {
+          fail(invalidResponse(err, ret))
+        }
+      })
+      response.on('aborted', function () {
+        fail(createNetworkError(new Error('response aborted'), t0))
+      })
+      response.on('error', function (err) {
+        fail(createNetworkError(err, t0))
+      })
+    })
+    .catch(fail)
+
+    return rows
+  }
+
   const couch = {}
 
+  /**
+   * Add a middleware to the request pipeline
+   * A middleware is an object with the optional hooks
+   *   request(req) - req: {method, path, headers, body}
+   *   response(response, req)
+   *   error(err, req)
+   * Every hook can modify its first argument or return a replacement.
+   * A function is used as request hook.
+   * @param  {Object|Function} middleware
+   * @return {Object} couch
+   */
+  couch.use = function use (middleware) {
+    addMiddleware(middleware)
+    return couch
+  }
+
+  if (config.middleware) config.middleware.forEach(addMiddleware)
+
   /**
    * All promisses are settled  with an object with the folloing properties
    *  headers: {Object} - response headers
@@ -270,14 +1472,78 @@ module.exports = function (opt) {
    *  message: {String} - http message
    */
 
+  // http://docs.couchdb.org/en/latest/api/server/authn.html#cookie-authentication
+
+  /**
+   * Log in and store the session cookie
+   * @param  {String} [username] - defaults to config.auth.username
+   * @param  {String} [password] - defaults to config.auth.password
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.login = function login (username, password, options) {
+    return request({
+      path: '_session',
+      method: 'POST',
+      options: options,
+      postData: {
+        name: username || (auth && auth.username),
+        password: password || (auth && auth.password)
+      },
+      statusCodes: {
+        200: 'OK - Successfully authenticated',
+        302: 'Found - Redirect after successful authentication',
+        401: 'Unauthorized - Username or password wasn’t recognized'
+      }
+    })
+  }
+
+  /**
+   * Close the session and drop the session cookie
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.logout = function logout (options) {
+    return request({
+      path: '_session',
+      method: 'DELETE',
+      options: options,
+      statusCodes: {
+        200: 'OK - Successfully close session'
+      }
+    })
+    .then(response => {
+      session.cookie = null
+      return response
+    })
+  }
+
+  /**
+   * Get information about the current session
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.getSession = function getSession (options) {
+    return request({
+      path: '_session',
+      method: 'GET',
+      options: options,
+      statusCodes: {
+        200: 'OK - Successfully authenticated'
+      }
+    })
+  }
+
   /**
    * Get server info
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
-  couch.getInfo = function getInfo () {
+  couch.getInfo = function getInfo (options) {
     return request({
       path: '',
       method: 'GET',
+      options: options,
       statusCodes: {
         200: 'OK - Request completed successfully'
       }
@@ -286,12 +1552,14 @@ module.exports = function (opt) {
 
   /**
    * Get the list of all databases.
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
-  couch.listDatabases = function listDatabases () {
+  couch.listDatabases = function listDatabases (options) {
     return request({
       path: '_all_dbs',
       method: 'GET',
+      options: options,
       statusCodes: {
         200: 'OK - Request completed successfully'
       }
@@ -301,12 +1569,14 @@ module.exports = function (opt) {
   /**
    * Create database
    * @param  {String} dbName
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
-  couch.createDatabase = function createDatabase (dbName) {
+  couch.createDatabase = function createDatabase (dbName, options) {
     return request({
       path: encodeURIComponent(dbName),
       method: 'PUT',
+      options: options,
       statusCodes: {
         201: 'Created - Database created successfully',
         400: 'Bad Request - Invalid database name',
@@ -319,12 +1589,14 @@ module.exports = function (opt) {
   /**
    * Get database
    * @param  {String} dbName
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
-  couch.getDatabase = function getDatabase (dbName) {
+  couch.getDatabase = function getDatabase (dbName, options) {
     return request({
       path: encodeURIComponent(dbName),
       method: 'GET',
+      options: options,
       statusCodes: {
         200: 'OK - Request completed successfully',
         404: 'Not Found – Requested database not found'
@@ -335,12 +1607,14 @@ module.exports = function (opt) {
   /**
    * Get database head
    * @param  {String} dbName
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
-  couch.getDatabaseHead = function getDatabaseHead (dbName) {
+  couch.getDatabaseHead = function getDatabaseHead (dbName, options) {
     return request({
       path: encodeURIComponent(dbName),
       method: 'HEAD',
+      options: options,
       statusCodes: {
         200: 'OK - Database exists',
         404: 'Not Found – Requested database not found'
@@ -351,12 +1625,14 @@ module.exports = function (opt) {
   /**
    * Delete database
    * @param  {String} dbName
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
-  couch.deleteDatabase = function deleteDatabase (dbName) {
+  couch.deleteDatabase = function deleteDatabase (dbName, options) {
     return request({
       path: encodeURIComponent(dbName),
       method: 'DELETE',
+      options: options,
       statusCodes: {
         200: 'OK - Database removed successfully',
         400: 'Bad Request - Invalid database name or forgotten document id by accident',
@@ -366,35 +1642,342 @@ module.exports = function (opt) {
     })
   }
 
+  // http://docs.couchdb.org/en/latest/api/database/compact.html
+
   /**
-   * Get all documents
+   * Start the compaction of a database
    * @param  {String} dbName
-   * @param  {Object} [query]
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
-  couch.getAllDocuments = function getAllDocuments (dbName, queryObj) {
-    const queryStr = createQueryString(queryObj)
+  couch.compactDatabase = function compactDatabase (dbName, options) {
+    return request({
+      path: `${encodeURIComponent(dbName)}/_compact`,
+      method: 'POST',
+      options: options,
+      postData: {},
+      statusCodes: {
+        202: 'Accepted - Compaction request has been accepted',
+        400: 'Bad Request - Invalid database name',
+        401: 'Unauthorized - CouchDB Server Administrator privileges required',
+        415: 'Unsupported Media Type - Bad Content-Type value'
+      }
+    })
+  }
+
+  /**
+   * Start the compaction of the views of a design document
+   * @param  {String} dbName
+   * @param  {String} docId - design document name without '_design/'
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.compactDesignDocument = function compactDesignDocument (dbName, docId, options) {
+    return request({
+      path: `${encodeURIComponent(dbName)}/_compact/${encodeURIComponent(docId)}`,
+      method: 'POST',
+      options: options,
+      postData: {},
+      statusCodes: {
+        202: 'Accepted - Compaction request has been accepted',
+        400: 'Bad Request - Invalid database name',
+        401: 'Unauthorized - CouchDB Server Administrator privileges required',
+        404: 'Not Found - Design document not found',
+        415: 'Unsupported Media Type - Bad Content-Type value'
+      }
+    })
+  }
+
+  /**
+   * Remove index files that are no longer used by any design document
+   * @param  {String} dbName
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.viewCleanup = function viewCleanup (dbName, options) {
+    return request({
+      path: `${encodeURIComponent(dbName)}/_view_cleanup`,
+      method: 'POST',
+      options: options,
+      postData: {},
+      statusCodes: {
+        202: 'Accepted - Cleanup request has been accepted',
+        400: 'Bad Request - Invalid database name',
+        401: 'Unauthorized - CouchDB Server Administrator privileges required',
+        415: 'Unsupported Media Type - Bad Content-Type value'
+      }
+    })
+  }
+
+  /**
+   * Wait until the compaction of a database is finished
+   * Polls getDatabase() and getActiveTasks() until compact_running is false
+   * and no database_compaction task of the database is left.
+   * @param  {String} dbName
+   * @param  {Object} [opts] - {interval=1000, timeout=0}
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.waitForCompaction = function waitForCompaction (dbName, opts, options) {
+    const settings = Object.assign({interval: 1000, timeout: 0}, opts)
+    const t0 = Date.now()
+
+    function compacting (task) {
+      // clustered databases report their shards, e.g. shards/00000000-7fffffff/mydb.1525176549
+      const name = String(task.database).replace(/^shards\/[^/]+\//, '').replace(/\.\d+$/, '')
+      return task.type === 'database_compaction' && name === dbName
+    }
+
+    function poll () {
+      return Promise.all([couch.getDatabase(dbName, options), couch.getActiveTasks(options)])
+      .then(responses => {
+        const response = responses[0]
+        if (!response.data.compact_running && !responses[1].data.some(compacting)) {
+          return response
+        }
+        if (settings.timeout && Date.now() - t0 > settings.timeout) {
+          return Promise.reject(new TimeoutError({
+            headers: {},
+            data: {error: 'compaction timed out'},
+            status: 500,
+            code: 'ETIMEDOUT',
+            message: 'Error: compaction timed out',
+            duration: Date.now() - t0
+          }))
+        }
+        return sleep(settings.interval).then(poll)
+      })
+    }
+    return poll()
+  }
+
+  // http://docs.couchdb.org/en/latest/api/database/misc.html
+
+  /**
+   * Get the maximum number of document revisions that are tracked
+   * @param  {String} dbName
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.getRevsLimit = function getRevsLimit (dbName, options) {
+    return request({
+      path: `${encodeURIComponent(dbName)}/_revs_limit`,
+      method: 'GET',
+      options: options,
+      statusCodes: {
+        200: 'OK - Request completed successfully',
+        401: 'Unauthorized - CouchDB Server Administrator privileges required'
+      }
+    })
+  }
+
+  /**
+   * Set the maximum number of document revisions that are tracked
+   * @param  {String} dbName
+   * @param  {Number} limit
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.setRevsLimit = function setRevsLimit (dbName, limit, options) {
+    return request({
+      path: `${encodeURIComponent(dbName)}/_revs_limit`,
+      method: 'PUT',
+      options: options,
+      postData: JSON.stringify(limit),
+      postContentType: 'application/json',
+      statusCodes: {
+        200: 'OK - Request completed successfully',
+        400: 'Bad Request - Invalid JSON data',
+        401: 'Unauthorized - CouchDB Server Administrator privileges required'
+      }
+    })
+  }
+
+  /**
+   * Purge document revisions (requires CouchDB >= 2.3.0)
+   * @param  {String} dbName
+   * @param  {Object} docs - {docId: [rev, ...]}
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.purgeDocuments = function purgeDocuments (dbName, docs, options) {
+    return request({
+      path: `${encodeURIComponent(dbName)}/_purge`,
+      method: 'POST',
+      options: options,
+      postData: docs,
+      statusCodes: {
+        201: 'Created - Request completed successfully',
+        202: 'Accepted - Request was accepted, and was completed successfully on at least one replica',
+        400: 'Bad Request - Invalid database name or JSON payload',
+        415: 'Unsupported Media Type - Bad Content-Type value',
+        500: 'Internal Server Error - Internal server error or timeout'
+      }
+    })
+  }
+
+  /**
+   * Get the number of purge operations that are tracked (requires CouchDB >= 2.3.0)
+   * @param  {String} dbName
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.getPurgedInfosLimit = function getPurgedInfosLimit (dbName, options) {
+    return request({
+      path: `${encodeURIComponent(dbName)}/_purged_infos_limit`,
+      method: 'GET',
+      options: options,
+      statusCodes: {
+        200: 'OK - Request completed successfully'
+      }
+    })
+  }
+
+  /**
+   * Set the number of purge operations that are tracked (requires CouchDB >= 2.3.0)
+   * @param  {String} dbName
+   * @param  {Number} limit
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.setPurgedInfosLimit = function setPurgedInfosLimit (dbName, limit, options) {
+    return request({
+      path: `${encodeURIComponent(dbName)}/_purged_infos_limit`,
+      method: 'PUT',
+      options: options,
+      postData: JSON.stringify(limit),
+      postContentType: 'application/json',
+      statusCodes: {
+        200: 'OK - Request completed successfully',
+        400: 'Bad Request - Invalid JSON data'
+      }
+    })
+  }
+
+  // http://docs.couchdb.org/en/latest/api/database/security.html
+
+  /**
+   * Get the security object of a database
+   * @param  {String} dbName
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.getSecurity = function getSecurity (dbName, options) {
     return request({
-      path: `${encodeURIComponent(dbName)}/_all_docs${queryStr}`,
+      path: `${encodeURIComponent(dbName)}/_security`,
       method: 'GET',
+      options: options,
       statusCodes: {
         200: 'OK - Request completed successfully'
       }
     })
   }
 
+  /**
+   * Set the security object of a database
+   * @param  {String} dbName
+   * @param  {Object} security - {admins: {names, roles}, members: {names, roles}}
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.setSecurity = function setSecurity (dbName, security, options) {
+    return request({
+      path: `${encodeURIComponent(dbName)}/_security`,
+      method: 'PUT',
+      options: options,
+      postData: security,
+      statusCodes: {
+        200: 'OK - Request completed successfully',
+        401: 'Unauthorized - CouchDB Server Administrator privileges required'
+      }
+    })
+  }
+
+  function updateSecurity (dbName, section, entries, add, options) {
+    return couch.getSecurity(dbName, options)
+    .then(response => {
+      const security = response.data
+      const current = Object.assign({names: [], roles: []}, security[section])
+      Object.keys(current).filter(key => key === 'names' || key === 'roles').forEach(key => {
+        const values = (entries && entries[key]) || []
+        current[key] = add
+          ? current[key].concat(values.filter(value => current[key].indexOf(value) === -1))
+          : current[key].filter(value => values.indexOf(value) === -1)
+      })
+      security[section] = current
+      return couch.setSecurity(dbName, security, options)
+    })
+  }
+
+  /**
+   * Add names and roles to the admins of a database
+   * @param  {String} dbName
+   * @param  {Object} entries - {names: [], roles: []}
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.addSecurityAdmins = function addSecurityAdmins (dbName, entries, options) {
+    return updateSecurity(dbName, 'admins', entries, true, options)
+  }
+
+  /**
+   * Remove names and roles from the admins of a database
+   * @param  {String} dbName
+   * @param  {Object} entries - {names: [], roles: []}
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.removeSecurityAdmins = function removeSecurityAdmins (dbName, entries, options) {
+    return updateSecurity(dbName, 'admins', entries, false, options)
+  }
+
+  /**
+   * Add names and roles to the members of a database
+   * @param  {String} dbName
+   * @param  {Object} entries - {names: [], roles: []}
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.addSecurityMembers = function addSecurityMembers (dbName, entries, options) {
+    return updateSecurity(dbName, 'members', entries, true, options)
+  }
+
+  /**
+   * Remove names and roles from the members of a database
+   * @param  {String} dbName
+   * @param  {Object} entries - {names: [], roles: []}
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.removeSecurityMembers = function removeSecurityMembers (dbName, entries, options) {
+    return updateSecurity(dbName, 'members', entries, false, options)
+  }
+
+  /**
+   * Get all documents
+   * @param  {String} dbName
+   * @param  {Object} [query]
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.getAllDocuments = function getAllDocuments (dbName, queryObj, options) {
+    return request(viewParam(`${encodeURIComponent(dbName)}/_all_docs`, queryObj, options))
+  }
+
   /**
    * Get Document Head
    * @param  {String} dbName
    * @param  {String} docId
    * @param  {Object} [query]
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
-  couch.getDocumentHead = function getDocumentHead (dbName, docId, queryObj) {
+  couch.getDocumentHead = function getDocumentHead (dbName, docId, queryObj, options) {
     const queryStr = createQueryString(queryObj)
     return request({
       path: `${encodeURIComponent(dbName)}/${encodeURIComponent(docId)}${queryStr}`,
       method: 'HEAD',
+      options: options,
       statusCodes: {
         200: 'OK - Document exists',
         304: 'Not Modified - Document wasn’t modified since specified revision',
@@ -409,13 +1992,15 @@ module.exports = function (opt) {
    * @param  {String} dbName
    * @param  {String} docId
    * @param  {Object} [query]
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
-  couch.getDocument = function getDocument (dbName, docId, queryObj) {
+  couch.getDocument = function getDocument (dbName, docId, queryObj, options) {
     const queryStr = createQueryString(queryObj)
     return request({
       path: `${encodeURIComponent(dbName)}/${encodeURIComponent(docId)}${queryStr}`,
       method: 'GET',
+      options: options,
       statusCodes: {
         200: 'OK - Request completed successfully',
         304: 'Not Modified - Document wasn’t modified since specified revision',
@@ -431,14 +2016,16 @@ module.exports = function (opt) {
    * @param  {String} dbName
    * @param  {String} docId
    * @param  {String} newDocId
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
-  couch.copyDocument = function copyDocument (dbName, docId, newDocId) {
+  couch.copyDocument = function copyDocument (dbName, docId, newDocId, options) {
     if (docId && newDocId) {
       return request({
         headers: { Destination: newDocId },
         path: `${encodeURIComponent(dbName)}/${encodeURIComponent(docId)}`,
         method: 'COPY',
+        options: options,
         statusCodes: {
           201: 'Created – Document created and stored on disk',
           202: 'Accepted – Document data accepted, but not yet stored on disk',
@@ -456,14 +2043,16 @@ module.exports = function (opt) {
    * @param  {String} dbName
    * @param  {Object} doc
    * @param  {String} [docId]
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
-  couch.createDocument = function createDocument (dbName, doc, docId) {
+  couch.createDocument = function createDocument (dbName, doc, docId, options) {
     if (docId) {
       // create document by id (PUT)
       return request({
         path: `${encodeURIComponent(dbName)}/${encodeURIComponent(docId)}`,
         method: 'PUT',
+        options: options,
         postData: doc,
         postContentType: 'application/json',
         statusCodes: {
@@ -480,6 +2069,7 @@ module.exports = function (opt) {
       return request({
         path: encodeURIComponent(dbName),
         method: 'POST',
+        options: options,
         postData: doc,
         statusCodes: {
           201: 'Created – Document created and stored on disk',
@@ -498,12 +2088,14 @@ module.exports = function (opt) {
    * @param  {String} dbName
    * @param  {String} docId
    * @param  {String} rev
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
-  couch.deleteDocument = function deleteDocument (dbName, docId, rev) {
+  couch.deleteDocument = function deleteDocument (dbName, docId, rev, options) {
     return request({
       path: `${encodeURIComponent(dbName)}/${encodeURIComponent(docId)}?rev=${rev}`,
       method: 'DELETE',
+      options: options,
       statusCodes: {
         200: 'OK - Document successfully removed',
         202: 'Accepted - Request was accepted, but changes are not yet stored on disk',
@@ -515,16 +2107,577 @@ module.exports = function (opt) {
     })
   }
 
+  /**
+   * Create or update a document and its attachments with a single
+   * multipart/related request. The _attachments stubs are created from the
+   * attachments, existing stubs in doc._attachments are kept. Streams with a
+   * length are piped, streams without are read into memory to compute it.
+   * @param  {String} dbName
+   * @param  {Object} doc - with _rev to update an existing document
+   * @param  {String} docId
+   * @param  {Array} attachments - [{name, contentType, data: Buffer|String|stream.Readable, [length]}]
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.createDocumentWithAttachments = function createDocumentWithAttachments (dbName, doc, docId, attachments, options) {
+    assert(Array.isArray(attachments), 'attachments is array')
+    return Promise.all(attachments.map(att => {
+      const data = typeof att.data === 'string' ? Buffer.from(att.data) : att.data
+      const ret = {name: att.name, contentType: att.contentType, data: data}
+      if (Buffer.isBuffer(data)) {
+        ret.length = data.length
+        return ret
+      }
+      assert(data && typeof data.pipe === 'function', 'attachment data is Buffer, String or stream')
+      if (att.length !== undefined) {
+        ret.length = att.length
+        return ret
+      }
+      return streamToBuffer(data).then(buffer => Object.assign(ret, {data: buffer, length: buffer.length}))
+    }))
+    .then(atts => {
+      const stubs = Object.assign({}, doc._attachments)
+      const byName = {}
+      atts.forEach(att => {
+        byName[att.name] = att
+        stubs[att.name] = {content_type: att.contentType, length: att.length, follows: true}
+      })
+      const json = JSON.stringify(Object.assign({}, doc, {_id: docId, _attachments: stubs}))
+      // attachment parts must be in the order of the stubs
+      const boundary = crypto.randomBytes(16).toString('hex')
+      const parts = [Buffer.from(`--${boundary}\r\nContent-Type: application/json\r\n\r\n${json}`)]
+      let length = parts[0].length
+      Object.keys(stubs).filter(name => byName[name]).forEach(name => {
+        const att = byName[name]
+        const header = Buffer.from([
+          `\r\n--${boundary}`,
+          `Content-Disposition: attachment; filename="${name.replace(/"/g, '\\"')}"`,
+          `Content-Type: ${att.contentType}`,
+          '',
+          ''
+        ].join('\r\n'))
+        parts.push(header, att.data)
+        length += header.length + att.length
+      })
+      parts.push(Buffer.from(`\r\n--${boundary}--`))
+      length += parts[parts.length - 1].length
+
+      const buffered = parts.every(part => Buffer.isBuffer(part))
+      return request({
+        path: `${encodeURIComponent(dbName)}/${encodeURIComponent(docId)}`,
+        method: 'PUT',
+        options: options,
+        postData: buffered ? Buffer.concat(parts) : concatStreams(parts),
+        postContentType: `multipart/related; boundary="${boundary}"`,
+        contentLength: length,
+        statusCodes: {
+          201: 'Created - Document created and stored on disk',
+          202: 'Accepted - Document data accepted, but not yet stored on disk',
+          400: 'Bad Request - Invalid request body or parameters',
+          401: 'Unauthorized - Write privileges required',
+          404: 'Not Found - Specified database or document ID doesn\'t exists',
+          409: 'Conflict - Document with the specified ID already exists or specified revision is not latest for target document'
+        }
+      })
+    })
+  }
+
+  /**
+   * Get a document with its attachments as multipart/related response
+   * response.data is the document, the data of every attachment is a Buffer
+   * or with opts.stream a Readable stream. The streams are filled one after
+   * another and must all be consumed. With query.atts_since only attachments
+   * changed since the given revisions are sent, the others stay stubs.
+   * @param  {String} dbName
+   * @param  {String} docId
+   * @param  {Object} [query] - e.g. {rev, atts_since: [rev]}
+   * @param  {Object} [opts] - {stream=false}
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.getDocumentWithAttachments = function getDocumentWithAttachments (dbName, docId, queryObj, opts, options) {
+    const settings = Object.assign({stream: false}, opts)
+    const query = Object.assign({}, queryObj, {attachments: true})
+    return requestStream({
+      path: `${encodeURIComponent(dbName)}/${encodeURIComponent(docId)}${createQueryString(query)}`,
+      method: 'GET',
+      options: options,
+      headers: {accept: 'multipart/related, application/json'},
+      statusCodes: {
+        200: 'OK - Request completed successfully',
+        304: 'Not Modified - Document wasn’t modified since specified revision',
+        400: 'Bad Request - The format of the request or revision was invalid',
+        401: 'Unauthorized - Read privilege required',
+        404: 'Not Found - Document not found'
+      }
+    })
+    .then(response => new Promise(function (resolve, reject) {
+      const res = response.stream
+      delete response.stream
+      const contentType = response.headers['content-type'] || ''
+      const atts = []
+      let doc
+      let parser
+      let failed = false
+
+      function fail (err) {
+        const error = new CouchError({
+          headers: response.headers,
+          data: {error: err.message},
+          status: 500,
+          message: err.message || 'invalid multipart response',
+          duration: response.duration
+        })
+        failed = true
+        res.destroy()
+        function abort (part) {
+          // without an 'error' listener the error would crash the process
+          const partError = part.listenerCount('error') ? error : undefined
+          if (typeof part.destroy === 'function') {
+            part.destroy(partError)
+          } else if (partError) {
+            part.emit('error', partError)
+          }
+        }
+        if (settings.stream && doc) {
+          // attachment streams that are already resolved get the error
+          // once the caller had a chance to listen
+          const stubs = doc._attachments || {}
+          const parts = Object.keys(stubs).filter(name => stubs[name].follows).map(name => stubs[name].data)
+          if (parser && parser.part) parts.push(parser.part)
+          setImmediate(() => parts.forEach(abort))
+        }
+        reject(error)
+      }
+
+      if (!/^multipart\/related/.test(contentType)) {
+        // documents without attachments are sent as JSON, inline attachments are base64
+        return streamToBuffer(res).then(buffer => {
+          doc = JSON.parse(buffer.toString() || '{}')
+          Object.keys(doc._attachments || {}).forEach(name => {
+            const att = doc._attachments[name]
+            if (typeof att.data !== 'string') return
+            att.data = Buffer.from(att.data, 'base64')
+            if (settings.stream) {
+              const data = att.data
+              att.data = new stream.PassThrough()
+              att.data.end(data)
+            }
+          })
+          response.data = doc
+          resolve(response)
+        }).catch(fail)
+      }
+
+      parser = createMultipartParser(contentType, headers => {
+        // the rest of a failed response is dropped
+        if (failed) return new stream.PassThrough()
+        if (!doc) {
+          // the first part is the document, parsed before the next part starts
+          const chunks = []
+          return {
+            write: chunk => chunks.push(chunk) > 0,
+            end: () => {
+              try {
+                doc = JSON.parse(Buffer.concat(chunks).toString())
+              } catch (err) {
+                doc = {}
+                return fail(err)
+              }
+              response.data = doc
+              if (settings.stream) {
+                // the streams exist before resolving, their parts fill them later
+                const stubs = doc._attachments || {}
+                Object.keys(stubs).filter(name => stubs[name].follows).forEach(name => {
+                  stubs[name].data = new stream.PassThrough()
+                })
+                resolve(response)
+              }
+            }
+          }
+        }
+        // parts without filename are the first stub that still follows
+        const disposition = /filename="((?:[^"\\]|\\.)*)"/.exec(headers['content-disposition'] || '')
+        const name = disposition
+          ? disposition[1].replace(/\\(.)/g, '$1')
+          : Object.keys(doc._attachments || {}).filter(key => doc._attachments[key].follows)[0]
+        const att = (doc._attachments || {})[name]
+        if (!att) {
+          fail(new Error(`unexpected attachment ${name}`))
+          return new stream.PassThrough()
+        }
+        delete att.follows
+        if (settings.stream) return att.data
+        const part = new stream.PassThrough()
+        atts.push(streamToBuffer(part).then(buffer => { att.data = buffer }))
+        return part
+      })
+
+      res.on('data', chunk => {
+        if (failed) return
+        if (!parser.write(chunk) && parser.part) {
+          res.pause()
+          parser.part.once('drain', () => res.resume())
+        }
+      })
+      res.on('end', () => {
+        if (failed) return
+        try {
+          parser.end()
+        } catch (err) {
+          return fail(err)
+        }
+        if (!doc) return fail(new Error('missing document part'))
+        const stubs = doc._attachments || {}
+        const missing = Object.keys(stubs).filter(name => stubs[name].follows)[0]
+        if (missing) return fail(new Error(`missing attachment ${missing}`))
+        if (!settings.stream) Promise.all(atts).then(() => resolve(response))
+      })
+      res.on('error', fail)
+    }))
+  }
+
+  /**
+   * Get the revision history of a document
+   * response.data is the list of revisions [{rev, status}], newest first
+   * @param  {String} dbName
+   * @param  {String} docId
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.getRevisions = function getRevisions (dbName, docId, options) {
+    return couch.getDocument(dbName, docId, {revs_info: true}, options)
+    .then(response => {
+      response.data = response.data._revs_info || []
+      return response
+    })
+  }
+
+  /**
+   * Get leaf revisions of a document
+   * response.data is a list of {ok: doc} or {missing: rev}, multipart/mixed
+   * responses are parsed into the same format.
+   * @param  {String} dbName
+   * @param  {String} docId
+   * @param  {Array|String} revs - list of revisions or 'all'
+   * @param  {Object} [query] - e.g. {revs: true, latest: true}
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.getOpenRevisions = function getOpenRevisions (dbName, docId, revs, queryObj, options) {
+    assert(revs === 'all' || Array.isArray(revs), `revs is array or 'all'`)
+    const query = Object.assign({}, queryObj, {
+      open_revs: revs === 'all' ? revs : JSON.stringify(revs)
+    })
+    return request({
+      path: `${encodeURIComponent(dbName)}/${encodeURIComponent(docId)}${createQueryString(query)}`,
+      method: 'GET',
+      options: options,
+      headers: {accept: 'application/json'},
+      statusCodes: {
+        200: 'OK - Request completed successfully',
+        400: 'Bad Request - The format of the request or revision was invalid',
+        401: 'Unauthorized - Read privilege required',
+        404: 'Not Found - Document not found'
+      }
+    })
+    .then(response => {
+      if (Array.isArray(response.data)) return response
+      try {
+        response.data = parseMultipart(response.data.text || '', response.headers['content-type'])
+        .map(part => {
+          if (/^multipart\/related/.test(part.headers['content-type'])) {
+            // document with attachments, the first part is the document
+            part = parseMultipart(part.body, part.headers['content-type'])[0]
+          }
+          const obj = JSON.parse(part.body)
+          return obj.missing ? obj : {ok: obj}
+        })
+        return response
+      } catch (err) {
+        return Promise.reject(new CouchError({
+          headers: response.headers,
+          data: {error: err.message},
+          status: 500,
+          message: err.message || 'invalid multipart response',
+          duration: response.duration
+        }))
+      }
+    })
+  }
+
+  function getLeafDocuments (dbName, docId, name, options) {
+    const query = {}
+    query[name] = true
+    return couch.getDocument(dbName, docId, query, options)
+    .then(response => {
+      const revs = response.data[`_${name}`] || []
+      if (!revs.length) {
+        response.data = []
+        return response
+      }
+      return couch.getOpenRevisions(dbName, docId, revs, {}, options)
+      .then(response => {
+        response.data = response.data.filter(item => item.ok).map(item => item.ok)
+        return response
+      })
+    })
+  }
+
+  /**
+   * Get the conflicting revisions of a document
+   * response.data is the list of conflicting leaf documents without the winning revision
+   * @param  {String} dbName
+   * @param  {String} docId
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.getConflicts = function getConflicts (dbName, docId, options) {
+    return getLeafDocuments(dbName, docId, 'conflicts', options)
+  }
+
+  /**
+   * Get the deleted conflicting revisions of a document
+   * response.data is the list of deleted leaf documents
+   * @param  {String} dbName
+   * @param  {String} docId
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.getDeletedConflicts = function getDeletedConflicts (dbName, docId, options) {
+    return getLeafDocuments(dbName, docId, 'deleted_conflicts', options)
+  }
+
+  // http://docs.couchdb.org/en/latest/replication/conflicts.html
+
+  function conflictResolution (dbName, doc, strategy, settings, options) {
+    // resolves with the docs to write: the kept revision on top of the
+    // winning revision and a deletion for every other leaf
+    const resolve = typeof strategy === 'function' ? strategy : CONFLICT_STRATEGIES[strategy]
+    return couch.getOpenRevisions(dbName, doc._id, doc._conflicts, {}, options)
+    .then(response => {
+      const winner = Object.assign({}, doc)
+      delete winner._conflicts
+      const leaves = [winner].concat(response.data.filter(item => item.ok).map(item => item.ok))
+      return Promise.resolve(resolve(leaves, settings))
+      .then(keep => {
+        assert(keep && typeof keep === 'object', 'strategy returns doc')
+        const docs = leaves.slice(1).map(leaf => ({_id: leaf._id, _rev: leaf._rev, _deleted: true}))
+        if (keep !== winner) {
+          const update = Object.assign({}, keep, {_id: winner._id, _rev: winner._rev})
+          delete update._conflicts
+          delete update._deleted_conflicts
+          delete update._revs_info
+          docs.unshift(update)
+        }
+        return docs
+      })
+    })
+  }
+
+  function conflictError (response, result) {
+    return new ConflictError({
+      headers: response.headers,
+      data: result,
+      status: 409,
+      message: `Conflict - ${result.reason || result.error}`,
+      duration: response.duration
+    })
+  }
+
+  /**
+   * Resolve the conflicts of a document
+   * The strategy picks (or merges) the revision to keep, it is written on top
+   * of the winning revision and all other leaf revisions are deleted with a
+   * single bulk docs request. strategy is 'deepest-rev', 'latest-timestamp'
+   * or a function (leafDocs, opts) returning (a Promise of) the document to keep.
+   * Resolves with the bulk docs response, response.data is empty if there
+   * were no conflicts.
+   * @param  {String} dbName
+   * @param  {String} docId
+   * @param  {String|Function} [strategy = 'deepest-rev']
+   * @param  {Object} [opts] - {timestampField='updated_at'}
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.resolveConflicts = function resolveConflicts (dbName, docId, strategy, opts, options) {
+    strategy = strategy || 'deepest-rev'
+    assert(typeof strategy === 'function' || CONFLICT_STRATEGIES[strategy], 'is conflict strategy')
+    const settings = Object.assign({timestampField: 'updated_at'}, opts)
+    return couch.getDocument(dbName, docId, {conflicts: true}, options)
+    .then(response => {
+      if (!response.data._conflicts) {
+        response.data = []
+        return response
+      }
+      return conflictResolution(dbName, response.data, strategy, settings, options)
+      .then(docs => couch.createBulkDocuments(dbName, docs, {}, options))
+      .then(response => {
+        const failed = response.data.filter(result => result.error)[0]
+        return failed ? Promise.reject(conflictError(response, failed)) : response
+      })
+    })
+  }
+
+  /**
+   * Resolve the conflicts of all documents of a database
+   * Documents are scanned in pages of opts.batchSize, the conflicts of a
+   * page are resolved with a single bulk docs request. Resolves with a report
+   * {scanned, conflicted, resolved: [docId], failed: [{id, error, reason}], duration}
+   * @param  {String} dbName
+   * @param  {Object} [opts] - {strategy='deepest-rev', batchSize=100, timestampField='updated_at'}
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.sweepConflicts = function sweepConflicts (dbName, opts, options) {
+    const settings = Object.assign({strategy: 'deepest-rev', batchSize: 100, timestampField: 'updated_at'}, opts)
+    assert(typeof settings.strategy === 'function' || CONFLICT_STRATEGIES[settings.strategy], 'is conflict strategy')
+    const t0 = Date.now()
+    const report = {scanned: 0, conflicted: 0, resolved: [], failed: []}
+    const pages = couch.paginateAllDocuments(dbName, {include_docs: true, conflicts: true}, {pageSize: settings.batchSize}, options)
+
+    function plan (doc) {
+      // a document that can't be resolved is reported, the rest of the batch is still written
+      return conflictResolution(dbName, doc, settings.strategy, settings, options)
+      .catch(err => {
+        const data = err.data || {}
+        report.failed.push({id: doc._id, error: data.error || 'resolution_failed', reason: data.reason || err.message})
+        return null
+      })
+    }
+
+    function resolveBatch (docs) {
+      return Promise.all(docs.map(plan))
+      .then(plans => {
+        const planned = docs.filter((doc, i) => plans[i])
+        if (!planned.length) return
+        return couch.createBulkDocuments(dbName, [].concat.apply([], plans.filter(Boolean)), {}, options)
+        .then(response => {
+          planned.forEach(doc => {
+            const failed = response.data.filter(result => result.id === doc._id && result.error)[0]
+            if (failed) {
+              report.failed.push({id: doc._id, error: failed.error, reason: failed.reason})
+            } else {
+              report.resolved.push(doc._id)
+            }
+          })
+        })
+      })
+    }
+
+    function next () {
+      return pages.next().then(page => {
+        if (page.done) return
+        const rows = page.value.data.rows
+        const docs = rows.filter(row => row.doc && row.doc._conflicts).map(row => row.doc)
+        report.scanned += rows.length
+        report.conflicted += docs.length
+        return (docs.length ? resolveBatch(docs) : Promise.resolve()).then(next)
+      })
+    }
+
+    return next().then(() => {
+      report.duration = Date.now() - t0
+      return report
+    })
+  }
+
+  /**
+   * Update a document with a read-modify-write cycle
+   * The mutator gets the latest revision of the document and returns the
+   * new document (or a Promise of it). The update is retried with the then
+   * latest revision if the write fails with a conflict.
+   * Resolves with the last write response, response.doc is the written
+   * document including the new _rev.
+   * @param  {String} dbName
+   * @param  {String} docId
+   * @param  {Function} mutator - function (doc) returns doc or Promise
+   * @param  {Object} [opts] - {upsert=false, maxAttempts=10}
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.updateDocument = function updateDocument (dbName, docId, mutator, opts, options) {
+    assert(typeof mutator === 'function', 'mutator is function')
+    const settings = Object.assign({upsert: false, maxAttempts: 10}, opts)
+
+    function update () {
+      let rev
+      return couch.getDocument(dbName, docId, {}, options)
+      .then(response => response.data, err => {
+        if (settings.upsert && err instanceof NotFoundError) {
+          return {_id: docId}
+        }
+        return Promise.reject(err)
+      })
+      .then(doc => {
+        rev = doc._rev
+        return Promise.resolve(mutator(doc)).then(result => result === undefined ? doc : result)
+      })
+      .then(doc => {
+        doc = Object.assign({}, doc, {_id: docId})
+        if (rev) doc._rev = rev
+        return couch.createDocument(dbName, doc, docId, options)
+        .then(response => {
+          doc._rev = response.data.rev
+          response.doc = doc
+          return response
+        })
+      })
+    }
+    return retryOnConflict(update, settings.maxAttempts)
+  }
+
   /**
    * Find documents (requires CouchDB >= 2.0.0)
    * @param  {String} dbName
    * @param  {Object} queryObj
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
-  couch.findDocuments = function findDocuments (dbName, queryObj) {
+  couch.findDocuments = function findDocuments (dbName, queryObj, options) {
     return request({
       path: `${encodeURIComponent(dbName)}/_find`,
       method: 'POST',
+      options: options,
+      postData: queryObj,
+      statusCodes: {
+        200: 'OK - Request completed successfully',
+        400: 'Bad Request - Invalid request',
+        401: 'Unauthorized - Read permission required',
+        500: 'Internal Server Error - Query execution error'
+      }
+    })
+  }
+
+  /**
+   * Paginate Mango query results (requires CouchDB >= 2.0.0)
+   * Returns an async iterator of pages (findDocuments() responses) that
+   * follows bookmarks, pages.docs() returns an async iterator of documents.
+   * @param  {String} dbName
+   * @param  {Object} queryObj
+   * @param  {Object} [opts] - {pageSize=25}
+   * @param  {Object} [options] - request options
+   * @return {Object} async iterator
+   */
+  couch.paginateFind = function paginateFind (dbName, queryObj, opts, options) {
+    return createFindPaginator(
+      query => couch.findDocuments(dbName, query, options),
+      queryObj, opts
+    )
+  }
+
+  /**
+   * Explain which index a Mango query would use (requires CouchDB >= 2.0.0)
+   * @param  {String} dbName
+   * @param  {Object} queryObj
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.explainQuery = function explainQuery (dbName, queryObj, options) {
+    return request({
+      path: `${encodeURIComponent(dbName)}/_explain`,
+      method: 'POST',
+      options: options,
       postData: queryObj,
       statusCodes: {
         200: 'OK - Request completed successfully',
@@ -538,12 +2691,14 @@ module.exports = function (opt) {
   /**
    * Get one or more UUIDs
    * @param  {Number} [count = 1]
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
-  couch.getUuids = function getUuids (count) {
+  couch.getUuids = function getUuids (count, options) {
     return request({
       path: `_uuids?count=${count || 1}`,
       method: 'GET',
+      options: options,
       statusCodes: {
         200: 'OK - Request completed successfully',
         403: 'Forbidden – Requested more UUIDs than is allowed to retrieve'
@@ -556,13 +2711,15 @@ module.exports = function (opt) {
    * @param  {String} dbName
    * @param  {String} docId
    * @param  {Object} [query]
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
-  couch.getDesignDocument = function getDesignDocument (dbName, docId, queryObj) {
+  couch.getDesignDocument = function getDesignDocument (dbName, docId, queryObj, options) {
     const queryStr = createQueryString(queryObj)
     return request({
       path: `${encodeURIComponent(dbName)}/_design/${encodeURIComponent(docId)}${queryStr}`,
       method: 'GET',
+      options: options,
       statusCodes: {
         200: 'OK - Request completed successfully',
         304: 'Not Modified - Document wasn’t modified since specified revision',
@@ -577,12 +2734,14 @@ module.exports = function (opt) {
    * Get design document info
    * @param  {String} dbName
    * @param  {String} docId
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
-  couch.getDesignDocumentInfo = function getDesignDocumentInfo (dbName, docId) {
+  couch.getDesignDocumentInfo = function getDesignDocumentInfo (dbName, docId, options) {
     return request({
       path: `${encodeURIComponent(dbName)}/_design/${encodeURIComponent(docId)}/_info`,
       method: 'GET',
+      options: options,
       statusCodes: {
         200: 'OK - Request completed successfully'
       }
@@ -594,12 +2753,14 @@ module.exports = function (opt) {
    * @param  {String} dbName
    * @param  {Object} doc
    * @param  {String} docId
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
-  couch.createDesignDocument = function createDesignDocument (dbName, doc, docId) {
+  couch.createDesignDocument = function createDesignDocument (dbName, doc, docId, options) {
     return request({
       path: `${encodeURIComponent(dbName)}/_design/${encodeURIComponent(docId)}`,
       method: 'PUT',
+      options: options,
       postData: doc,
       statusCodes: {
         201: 'Created – Document created and stored on disk',
@@ -617,12 +2778,14 @@ module.exports = function (opt) {
    * @param  {String} dbName
    * @param  {String} docId
    * @param  {String} rev
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
-  couch.deleteDesignDocument = function deleteDesignDocument (dbName, docId, rev) {
+  couch.deleteDesignDocument = function deleteDesignDocument (dbName, docId, rev, options) {
     return request({
       path: `${encodeURIComponent(dbName)}/_design/${encodeURIComponent(docId)}?rev=${rev}`,
       method: 'DELETE',
+      options: options,
       statusCodes: {
         200: 'OK - Document successfully removed',
         202: 'Accepted - Request was accepted, but changes are not yet stored on disk',
@@ -634,23 +2797,136 @@ module.exports = function (opt) {
     })
   }
 
+  /**
+   * Create or update design documents from definitions with JS functions
+   * Functions are serialized, only design documents that differ from the
+   * server version are written. Resolves with a report
+   * {created: [docId], updated: [docId], unchanged: [docId], changes: [{id, action, fields, rev}], dryRun}
+   * @param  {String} dbName
+   * @param  {Object} definitions - {docId: {views: {name: {map: fn}}, filters, validate_doc_update, ...}}
+   * @param  {Object} [opts] - {dryRun=false}
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.syncDesignDocuments = function syncDesignDocuments (dbName, definitions, opts, options) {
+    const settings = Object.assign({dryRun: false}, opts)
+    const report = {created: [], updated: [], unchanged: [], changes: [], dryRun: settings.dryRun}
+
+    function sync (docId) {
+      let wanted
+      try {
+        wanted = serializeDesignDocument(definitions[docId])
+      } catch (err) {
+        return Promise.reject(err)
+      }
+      docId = docId.replace(/^_design\//, '')
+      return couch.getDesignDocument(dbName, docId, {}, options)
+      .then(response => response.data, err => {
+        if (err instanceof NotFoundError) return null
+        return Promise.reject(err)
+      })
+      .then(current => {
+        const change = {id: `_design/${docId}`}
+        if (current) {
+          change.fields = designDocumentDiff(current, wanted)
+          change.action = change.fields.length ? 'update' : 'unchanged'
+          change.rev = current._rev
+        } else {
+          change.fields = Object.keys(wanted)
+          change.action = 'create'
+        }
+        if (change.action === 'unchanged' || settings.dryRun) return change
+        const doc = Object.assign({}, wanted)
+        if (current) doc._rev = current._rev
+        return couch.createDesignDocument(dbName, doc, docId, options)
+        .then(response => Object.assign(change, {rev: response.data.rev}))
+      })
+    }
+
+    return Promise.all(Object.keys(definitions).map(sync))
+    .then(changes => {
+      changes.forEach(change => {
+        report.changes.push(change)
+        report[{create: 'created', update: 'updated', unchanged: 'unchanged'}[change.action]].push(change.id)
+      })
+      return report
+    })
+  }
+
   /**
    * Get view
    * @param  {String} dbName
    * @param  {String} docId
    * @param  {String} viewName
    * @param  {Object} [query]
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
-  couch.getView = function getView (dbName, docId, viewName, queryObj) {
-    const queryStr = createQueryString(queryObj)
-    return request({
-      path: `${encodeURIComponent(dbName)}/_design/${encodeURIComponent(docId)}/_view/${encodeURIComponent(viewName)}${queryStr}`,
-      method: 'GET',
-      statusCodes: {
-        200: 'OK - Request completed successfully'
-      }
-    })
+  couch.getView = function getView (dbName, docId, viewName, queryObj, options) {
+    return request(viewParam(`${encodeURIComponent(dbName)}/_design/${encodeURIComponent(docId)}/_view/${encodeURIComponent(viewName)}`, queryObj, options))
+  }
+
+  /**
+   * Stream view rows
+   * Returns a readable object stream of rows. The properties total_rows,
+   * offset and update_seq are set on the stream and emitted as 'meta' event
+   * before the first row.
+   * @param  {String} dbName
+   * @param  {String} docId
+   * @param  {String} viewName
+   * @param  {Object} [query]
+   * @param  {Object} [options] - request options
+   * @return {stream.Readable}
+   */
+  couch.streamView = function streamView (dbName, docId, viewName, queryObj, options) {
+    return requestRows(viewParam(`${encodeURIComponent(dbName)}/_design/${encodeURIComponent(docId)}/_view/${encodeURIComponent(viewName)}`, queryObj, options))
+  }
+
+  /**
+   * Stream all documents
+   * Same as streamView() for _all_docs
+   * @param  {String} dbName
+   * @param  {Object} [query]
+   * @param  {Object} [options] - request options
+   * @return {stream.Readable}
+   */
+  couch.streamAllDocuments = function streamAllDocuments (dbName, queryObj, options) {
+    return requestRows(viewParam(`${encodeURIComponent(dbName)}/_all_docs`, queryObj, options))
+  }
+
+  /**
+   * Paginate view rows
+   * Returns an async iterator of pages (getView() responses), pages.rows()
+   * returns an async iterator of rows.
+   * @param  {String} dbName
+   * @param  {String} docId
+   * @param  {String} viewName
+   * @param  {Object} [query]
+   * @param  {Object} [opts] - {pageSize=100}
+   * @param  {Object} [options] - request options
+   * @return {Object} async iterator
+   */
+  couch.paginateView = function paginateView (dbName, docId, viewName, queryObj, opts, options) {
+    return createPaginator(
+      query => couch.getView(dbName, docId, viewName, query, options),
+      queryObj, opts, true
+    )
+  }
+
+  /**
+   * Paginate all documents
+   * Same as paginateView() for _all_docs
+   * @param  {String} dbName
+   * @param  {Object} [query]
+   * @param  {Object} [opts] - {pageSize=100}
+   * @param  {Object} [options] - request options
+   * @return {Object} async iterator
+   */
+  couch.paginateAllDocuments = function paginateAllDocuments (dbName, queryObj, opts, options) {
+    return createPaginator(
+      query => couch.getAllDocuments(dbName, query, options),
+      queryObj, opts, false
+    )
   }
 
   /**
@@ -659,13 +2935,15 @@ module.exports = function (opt) {
    * @param  {String} ddocId
    * @param  {String} func
    * @param  {Object} queryObj
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
   // http://docs.couchdb.org/en/latest/api/ddoc/render.html#post--db-_design-ddoc-_update-func
-  couch.executeUpdateFunction = function executeUpdateFunction (dbName, ddocId, func, queryObj) {
+  couch.executeUpdateFunction = function executeUpdateFunction (dbName, ddocId, func, queryObj, options) {
     return request({
       path: `${encodeURIComponent(dbName)}/_design/${encodeURIComponent(ddocId)}/_update/${encodeURIComponent(func)}`,
       method: 'POST',
+      options: options,
       postData: queryObj,
       statusCodes: {
         200: 'OK - No document was created or updated',
@@ -682,13 +2960,15 @@ module.exports = function (opt) {
    * @param  {String} func
    * @param  {Object} queryObj
    * @param  {String} docId
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
   // http://docs.couchdb.org/en/latest/api/ddoc/render.html#db-design-design-doc-update-update-name-doc-id
-  couch.executeUpdateFunctionForDocument = function executeUpdateFunctionForDocument (dbName, ddocId, func, queryObj, docId) {
+  couch.executeUpdateFunctionForDocument = function executeUpdateFunctionForDocument (dbName, ddocId, func, queryObj, docId, options) {
     return request({
       path: `${encodeURIComponent(dbName)}/_design/${encodeURIComponent(ddocId)}/_update/${encodeURIComponent(func)}/${encodeURIComponent(docId)}`,
       method: 'PUT',
+      options: options,
       postData: queryObj,
       statusCodes: {
         200: 'OK - No document was created or updated',
@@ -703,9 +2983,10 @@ module.exports = function (opt) {
    * @param  {String} dbName
    * @param  {Array} docs
    * @param  {Object} [opts]
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
-  couch.createBulkDocuments = function createBulkDocuments (dbName, docs, opts) {
+  couch.createBulkDocuments = function createBulkDocuments (dbName, docs, opts, options) {
     const obj = {
       docs: docs
     }
@@ -713,6 +2994,7 @@ module.exports = function (opt) {
     return request({
       path: `${encodeURIComponent(dbName)}/_bulk_docs`,
       method: 'POST',
+      options: options,
       postData: obj,
       statusCodes: {
         201: 'Created – Document(s) have been created or updated',
@@ -723,25 +3005,252 @@ module.exports = function (opt) {
     })
   }
 
-  // http://docs.couchdb.org/en/latest/api/document/common.html#attachments
-
   /**
-   * Get attachment head
+   * Write many documents in batches of bulk docs requests
+   * docs may be an Array, an iterable or an async iterable. Batches are
+   * written with at most opts.concurrency requests at the same time.
+   * The per document results are collected in
+   * {succeeded: [{id, rev}], conflicted: [{id, error, reason, doc}], rejected: [...]}
+   * Conflicted documents are passed to opts.resolveConflict(doc, result) which
+   * may return (a Promise of) a new document to retry or nothing to give up.
+   * Rejects if a batch request fails.
    * @param  {String} dbName
-   * @param  {String} docId
-   * @param  {String} attName
-   * @param  {String} [rev]
+   * @param  {Array|Object} docs
+   * @param  {Object} [opts] - {batchSize=500, concurrency=2, resolveConflict, maxAttempts=3}
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
-  couch.getAttachmentHead = function getAttachmentHead (dbName, docId, attName, rev) {
-    const queryStr = rev ? `?rev=${rev}` : ''
-    return request({
-      path: `${encodeURIComponent(dbName)}/${encodeURIComponent(docId)}/${encodeURIComponent(attName)}${queryStr}`,
-      method: 'HEAD',
-      statusCodes: {
-        200: 'OK - Attachment exists',
-        304: 'Not Modified - Attachment wasn’t modified if ETag equals specified If-None-Match header',
-        401: 'Unauthorized - Read privilege required',
+  couch.writeBulkDocuments = function writeBulkDocuments (dbName, docs, opts, options) {
+    const settings = Object.assign({batchSize: 500, concurrency: 2, maxAttempts: 3}, opts)
+    assert(settings.batchSize >= 1, 'batchSize >= 1')
+    assert(settings.concurrency >= 1, 'concurrency >= 1')
+    assert(!settings.resolveConflict || typeof settings.resolveConflict === 'function', 'resolveConflict is function')
+    const t0 = Date.now()
+    const nextBatch = batchReader(docs, settings.batchSize)
+    const summary = {succeeded: [], conflicted: [], rejected: [], requests: 0}
+    // the first failed request stops all workers
+    let failed = false
+
+    function write (batch, attempt) {
+      if (failed) return
+      summary.requests++
+      return couch.createBulkDocuments(dbName, batch, {}, options)
+      .then(response => {
+        const retries = []
+        const byId = {}
+        batch.forEach(doc => { if (doc._id) byId[doc._id] = doc })
+        response.data.forEach((result, i) => {
+          // results are in the order of the docs, match by id to be safe
+          const doc = byId[result.id] || batch[i]
+          if (!result.error) {
+            summary.succeeded.push({id: result.id, rev: result.rev})
+          } else if (result.error === 'conflict' && settings.resolveConflict && attempt < settings.maxAttempts) {
+            retries.push(Promise.resolve(settings.resolveConflict(doc, result)).then(newDoc => {
+              if (newDoc) return newDoc
+              summary.conflicted.push({id: result.id, error: result.error, reason: result.reason, doc: doc})
+            }))
+          } else {
+            const list = result.error === 'conflict' ? summary.conflicted : summary.rejected
+            list.push({id: result.id, error: result.error, reason: result.reason, doc: doc})
+          }
+        })
+        return Promise.all(retries)
+      })
+      .then(newDocs => {
+        newDocs = newDocs.filter(Boolean)
+        if (newDocs.length) return write(newDocs, attempt + 1)
+      })
+      .catch(response => {
+        failed = true
+        return Promise.reject(response)
+      })
+    }
+
+    function worker () {
+      if (failed) return Promise.resolve()
+      return nextBatch().then(batch => batch && !failed && write(batch, 1).then(worker))
+    }
+
+    const workers = []
+    for (let i = 0; i < settings.concurrency; i++) workers.push(worker())
+    return Promise.all(workers).then(() => {
+      summary.duration = Date.now() - t0
+      return summary
+    })
+  }
+
+  /**
+   * Get multiple documents or revisions in a single request
+   * @param  {String} dbName
+   * @param  {Array} docs - [{id, rev}] or [id]
+   * @param  {Object} [query] - e.g. {revs: true, attachments: true}
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.getBulkDocuments = function getBulkDocuments (dbName, docs, queryObj, options) {
+    const queryStr = createQueryString(queryObj)
+    return request({
+      path: `${encodeURIComponent(dbName)}/_bulk_get${queryStr}`,
+      method: 'POST',
+      idempotent: true,
+      options: options,
+      postData: {
+        docs: docs.map(doc => typeof doc === 'string' ? {id: doc} : doc)
+      },
+      statusCodes: {
+        200: 'OK - Request completed successfully',
+        400: 'Bad Request - The request provided invalid JSON data or invalid query parameter',
+        401: 'Unauthorized - Read permission required',
+        415: 'Unsupported Media Type - Bad Content-Type value'
+      }
+    })
+  }
+
+  // http://docs.couchdb.org/en/latest/api/local.html
+
+  /**
+   * Get a local (non-replicating) document
+   * @param  {String} dbName
+   * @param  {String} docId - without '_local/'
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.getLocalDocument = function getLocalDocument (dbName, docId, options) {
+    return request({
+      path: `${encodeURIComponent(dbName)}/_local/${encodeURIComponent(docId)}`,
+      method: 'GET',
+      options: options,
+      statusCodes: {
+        200: 'OK - Request completed successfully',
+        400: 'Bad Request - The format of the request was invalid',
+        401: 'Unauthorized - Read privilege required',
+        404: 'Not Found - Document not found'
+      }
+    })
+  }
+
+  /**
+   * Create or update a local (non-replicating) document
+   * @param  {String} dbName
+   * @param  {Object} doc - with _rev to update an existing document
+   * @param  {String} docId - without '_local/'
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.putLocalDocument = function putLocalDocument (dbName, doc, docId, options) {
+    return request({
+      path: `${encodeURIComponent(dbName)}/_local/${encodeURIComponent(docId)}`,
+      method: 'PUT',
+      options: options,
+      postData: doc,
+      statusCodes: {
+        201: 'Created - Document created and stored on disk',
+        202: 'Accepted - Document data accepted, but not yet stored on disk',
+        400: 'Bad Request - Invalid request body or parameters',
+        401: 'Unauthorized - Write privileges required',
+        404: 'Not Found - Specified database doesn\'t exist',
+        409: 'Conflict - Specified revision is not the latest for target document'
+      }
+    })
+  }
+
+  /**
+   * Delete a local (non-replicating) document
+   * @param  {String} dbName
+   * @param  {String} docId - without '_local/'
+   * @param  {String} [rev] - latest revision is used by default
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.deleteLocalDocument = function deleteLocalDocument (dbName, docId, rev, options) {
+    return Promise.resolve(rev)
+    .then(rev => rev || couch.getLocalDocument(dbName, docId, options).then(response => response.data._rev))
+    .then(rev => request({
+      path: `${encodeURIComponent(dbName)}/_local/${encodeURIComponent(docId)}?rev=${rev}`,
+      method: 'DELETE',
+      options: options,
+      statusCodes: {
+        200: 'OK - Document successfully removed',
+        202: 'Accepted - Request was accepted, but changes are not yet stored on disk',
+        400: 'Bad Request - Invalid request body or parameters',
+        401: 'Unauthorized - Write privilege required',
+        404: 'Not Found - Specified database or document ID doesn\'t exist',
+        409: 'Conflict - Specified revision is not the latest for target document'
+      }
+    }))
+  }
+
+  /**
+   * List local documents (requires CouchDB >= 2.2.0)
+   * @param  {String} dbName
+   * @param  {Object} [query] - same as getAllDocuments()
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.listLocalDocuments = function listLocalDocuments (dbName, queryObj, options) {
+    return request(viewParam(`${encodeURIComponent(dbName)}/_local_docs`, queryObj, options))
+  }
+
+  /**
+   * Read a changes feed checkpoint stored in the local document 'checkpoint-{name}'
+   * Resolves with the stored since value or undefined.
+   * @param  {String} dbName
+   * @param  {String} name - e.g. the name of the changes consumer
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.getCheckpoint = function getCheckpoint (dbName, name, options) {
+    return couch.getLocalDocument(dbName, `checkpoint-${name}`, options)
+    .then(response => response.data.since, err => {
+      if (err instanceof NotFoundError) return undefined
+      return Promise.reject(err)
+    })
+  }
+
+  /**
+   * Store a changes feed checkpoint in the local document 'checkpoint-{name}'
+   * The write is retried on conflicts like updateDocument(), the last writer wins.
+   * @param  {String} dbName
+   * @param  {String} name - e.g. the name of the changes consumer
+   * @param  {String|Number} since - e.g. the last seq of the changes feed
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.setCheckpoint = function setCheckpoint (dbName, name, since, options) {
+    const docId = `checkpoint-${name}`
+    return retryOnConflict(() => couch.getLocalDocument(dbName, docId, options)
+      .then(response => response.data._rev, err => {
+        if (err instanceof NotFoundError) return undefined
+        return Promise.reject(err)
+      })
+      .then(rev => {
+        const doc = {since: since, updated_at: new Date().toISOString()}
+        if (rev) doc._rev = rev
+        return couch.putLocalDocument(dbName, doc, docId, options)
+      }), 10)
+  }
+
+  // http://docs.couchdb.org/en/latest/api/document/common.html#attachments
+
+  /**
+   * Get attachment head
+   * @param  {String} dbName
+   * @param  {String} docId
+   * @param  {String} attName
+   * @param  {String} [rev]
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.getAttachmentHead = function getAttachmentHead (dbName, docId, attName, rev, options) {
+    const queryStr = rev ? `?rev=${rev}` : ''
+    return request({
+      path: `${encodeURIComponent(dbName)}/${encodeURIComponent(docId)}/${encodeURIComponent(attName)}${queryStr}`,
+      method: 'HEAD',
+      options: options,
+      statusCodes: {
+        200: 'OK - Attachment exists',
+        304: 'Not Modified - Attachment wasn’t modified if ETag equals specified If-None-Match header',
+        401: 'Unauthorized - Read privilege required',
         404: 'Not Found - Specified database, document or attchment was not found'
       }
     })
@@ -754,14 +3263,16 @@ module.exports = function (opt) {
    * @param  {String} attName
    * @param  {StreamWritable} stream
    * @param  {String} [rev]
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
-  couch.getAttachment = function getAttachment (dbName, docId, attName, stream, rev) {
+  couch.getAttachment = function getAttachment (dbName, docId, attName, stream, rev, options) {
     const queryStr = rev ? `?rev=${rev}` : ''
     return Promise.resolve()
       .then(() => requestStream({
         path: `${encodeURIComponent(dbName)}/${encodeURIComponent(docId)}/${encodeURIComponent(attName)}${queryStr}`,
         stream: stream,
+        options: options,
         statusCodes: {
           200: 'OK - Attachment exists',
           304: 'Not Modified - Attachment wasn’t modified if ETag equals specified If-None-Match header',
@@ -774,34 +3285,102 @@ module.exports = function (opt) {
           return resolve(response)
         })
         stream.on('error', function (err) {
-          return reject({
+          return reject(new CouchError({
             headers: {},
-            data: {error: err},
+            data: {error: 'stream_error', reason: err.message},
             status: 500,
             message: err.message || 'stream error'
-          })
+          }))
         })
       }))
     )
   }
 
   /**
-   * add attachment
+   * Open an attachment as readable stream.
+   * Resolves with the readable as `response.stream` and content type, length and digest as `response.data`.
+   * The stream is null when the attachment was not modified (status 304).
+   * @param  {String} dbName
+   * @param  {String} docId
+   * @param  {String} attName
+   * @param  {Object} [opts] - {rev, range: {start, end} or 'bytes=...', ifNoneMatch: etag or digest}
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.openAttachmentStream = function openAttachmentStream (dbName, docId, attName, opts, options) {
+    const settings = Object.assign({}, opts)
+    const queryStr = settings.rev ? `?rev=${settings.rev}` : ''
+    const headers = {}
+    if (settings.range !== undefined) {
+      const range = settings.range
+      headers.range = typeof range === 'string' ? range : `bytes=${range.start || 0}-${range.end === undefined ? '' : range.end}`
+    }
+    if (settings.ifNoneMatch) {
+      // accept the digest of an attachment stub, the ETag is its base64 md5 in quotes
+      const etag = settings.ifNoneMatch.replace(/^md5-/, '')
+      headers['if-none-match'] = /^(W\/)?"/.test(etag) ? etag : `"${etag}"`
+    }
+    return requestStream({
+      path: `${encodeURIComponent(dbName)}/${encodeURIComponent(docId)}/${encodeURIComponent(attName)}${queryStr}`,
+      options: options,
+      headers: headers,
+      statusCodes: {
+        200: 'OK - Attachment exists',
+        206: 'Partial Content - Requested range of the attachment',
+        304: 'Not Modified - Attachment wasn’t modified if ETag equals specified If-None-Match header',
+        401: 'Unauthorized - Read privilege required',
+        404: 'Not Found - Specified database, document or attchment was not found',
+        416: 'Requested Range Not Satisfiable - Range header cannot be satisfied'
+      }
+    })
+    .then(response => {
+      const h = response.headers
+      const range = /^bytes (\d+)-(\d+)\/(\d+|\*)$/.exec(h['content-range'] || '')
+      response.data = {
+        contentType: h['content-type'],
+        length: h['content-length'] === undefined ? undefined : parseInt(h['content-length'], 10),
+        digest: attachmentDigest(h),
+        etag: h.etag
+      }
+      if (range) {
+        response.data.range = {
+          start: parseInt(range[1], 10),
+          end: parseInt(range[2], 10),
+          total: range[3] === '*' ? undefined : parseInt(range[3], 10)
+        }
+      }
+      if (response.status === 304) {
+        response.stream.resume()
+        response.stream = null
+      }
+      return response
+    })
+  }
+
+  /**
+   * Upload an attachment. Streams are piped with backpressure, with
+   * options.contentLength the content-length is sent instead of a chunked body.
+   * response.digest is the md5 of the sent data, with options.verify it is
+   * compared with the digest of a HEAD request of the stored attachment.
    * @param  {String} dbName
    * @param  {String} docId
    * @param  {String} attName
    * @param  {String} rev
    * @param  {String} contentType
-   * @param  {Buffer|String} att
+   * @param  {Buffer|String|Readable} data
+   * @param  {Object} [options] - request options and {contentLength, verify=false}
    * @return {Promise}
    */
-  couch.addAttachment = function addAttachment (dbName, docId, attName, rev, contentType, data) {
+  couch.addAttachment = function addAttachment (dbName, docId, attName, rev, contentType, data, options) {
+    const settings = Object.assign({verify: false}, options)
     const queryStr = rev ? `?rev=${rev}` : ''
     return request({
       path: `${encodeURIComponent(dbName)}/${encodeURIComponent(docId)}/${encodeURIComponent(attName)}${queryStr}`,
       method: 'PUT',
+      options: options,
       postContentType: contentType,
       postData: data,
+      contentLength: settings.contentLength,
       statusCodes: {
         201: 'OK - Created',  // TODO: check with API again
         202: 'Accepted - Request was but changes are not yet stored on disk',
@@ -810,6 +3389,24 @@ module.exports = function (opt) {
         409: '409 Conflict – Document’s revision wasn’t specified or it’s not the latest'
       }
     })
+    .then(response => {
+      if (!response.digest && (Buffer.isBuffer(data) || typeof data === 'string')) {
+        response.digest = `md5-${crypto.createHash('md5').update(data).digest('base64')}`
+      }
+      if (!settings.verify) return response
+      return couch.getAttachmentHead(dbName, docId, attName, response.data.rev, options)
+      .then(head => {
+        const digest = attachmentDigest(head.headers)
+        if (digest === response.digest) return response
+        return Promise.reject(new CouchError({
+          headers: response.headers,
+          data: {error: 'digest_mismatch', reason: `sent ${response.digest}, stored ${digest}`, rev: response.data.rev},
+          status: 500,
+          message: 'attachment digest mismatch',
+          duration: response.duration + head.duration
+        }))
+      })
+    })
   }
 
   /**
@@ -818,13 +3415,15 @@ module.exports = function (opt) {
    * @param  {String} docId
    * @param  {String} attName
    * @param  {String} rev
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
-  couch.deleteAttachment = function deleteAttachment (dbName, docId, attName, rev) {
+  couch.deleteAttachment = function deleteAttachment (dbName, docId, attName, rev, options) {
     const queryStr = rev ? `?rev=${rev}` : ''
     return request({
       path: `${encodeURIComponent(dbName)}/${encodeURIComponent(docId)}/${encodeURIComponent(attName)}${queryStr}`,
       method: 'DELETE',
+      options: options,
       statusCodes: {
         200: 'OK – Attachment successfully removed',
         202: 'Accepted - Request was but changes are not yet stored on disk',
@@ -840,12 +3439,14 @@ module.exports = function (opt) {
    * create index (requires CouchDB >= 2.0.0)
    * @param  {String} dbName
    * @param  {Object} queryObj
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
-  couch.createIndex = function createIndex (dbName, queryObj) {
+  couch.createIndex = function createIndex (dbName, queryObj, options) {
     return request({
       path: `${encodeURIComponent(dbName)}/_index`,
       method: 'POST',
+      options: options,
       postData: queryObj,
       statusCodes: {
         200: 'OK - Index created successfully or already exists',
@@ -859,12 +3460,14 @@ module.exports = function (opt) {
   /**
    * get index (requires CouchDB >= 2.0.0)
    * @param  {String} dbName
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
-  couch.getIndex = function getIndex (dbName) {
+  couch.getIndex = function getIndex (dbName, options) {
     return request({
       path: `${encodeURIComponent(dbName)}/_index`,
       method: 'GET',
+      options: options,
       statusCodes: {
         200: 'OK - Success',
         400: 'Bad Request - Invalid request',
@@ -879,12 +3482,14 @@ module.exports = function (opt) {
    * @param  {String} dbName
    * @param  {String} docId - design document id
    * @param  {String} name - index name
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
-  couch.deleteIndex = function deleteIndex (dbName, docId, name) {
+  couch.deleteIndex = function deleteIndex (dbName, docId, name, options) {
     return request({
       path: `${encodeURIComponent(dbName)}/_index/${encodeURIComponent(docId)}/json/${encodeURIComponent(name)}`,
       method: 'DELETE',
+      options: options,
       statusCodes: {
         200: 'OK - Success',
         400: 'Bad Request - Invalid request',
@@ -895,17 +3500,753 @@ module.exports = function (opt) {
     })
   }
 
+  // http://docs.couchdb.org/en/latest/api/database/changes.html
+
+  function changesParam (dbName, queryObj) {
+    // doc_ids and selector filters are sent as POST body
+    const query = Object.assign({}, queryObj)
+    let postData
+    if (query.doc_ids) {
+      postData = {doc_ids: query.doc_ids}
+      query.filter = '_doc_ids'
+      delete query.doc_ids
+    } else if (query.selector) {
+      postData = {selector: query.selector}
+      query.filter = '_selector'
+      delete query.selector
+    }
+    return {
+      path: `${encodeURIComponent(dbName)}/_changes${createQueryString(query)}`,
+      method: postData ? 'POST' : 'GET',
+      postData: postData,
+      statusCodes: {
+        200: 'OK - Request completed successfully',
+        400: 'Bad Request - Bad request'
+      }
+    }
+  }
+
+  /**
+   * Get changes (feed: normal or longpoll)
+   * @param  {String} dbName
+   * @param  {Object} [queryObj]
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.getChanges = function getChanges (dbName, queryObj, options) {
+    const param = changesParam(dbName, queryObj)
+    param.options = options
+    if (queryObj && queryObj.feed === 'longpoll') {
+      // wait for the server side timeout (default 60s) before giving up
+      param.timeout = (queryObj.timeout || queryObj.heartbeat || 60000) + config.requestTimeout
+    }
+    return request(param)
+  }
+
+  /**
+   * Follow changes (feed: continuous or eventsource)
+   * The returned EventEmitter emits 'change', 'heartbeat', 'reconnect',
+   * 'error' and 'stop' events and can be used as async iterator of changes.
+   * @param  {String} dbName
+   * @param  {Object} [opts] - query parameters plus
+   *                           {reconnect, reconnectDelay, maxReconnectDelay}
+   * @param  {Object} [options] - request options
+   * @return {EventEmitter}
+   */
+  couch.followChanges = function followChanges (dbName, opts, options) {
+    const settings = Object.assign({
+      feed: 'continuous',
+      since: 'now',
+      heartbeat: 10000,
+      reconnect: true,
+      reconnectDelay: 1000,
+      maxReconnectDelay: 30000
+    }, opts)
+    assert(['continuous', 'eventsource'].indexOf(settings.feed) >= 0, 'feed is continuous or eventsource')
+
+    const feed = new EventEmitter()
+    feed.since = settings.since
+    feed.stopped = false
+
+    let response = null
+    let timer = null
+    let delay = settings.reconnectDelay
+
+    function query () {
+      const queryObj = Object.assign({}, settings, {since: feed.since})
+      delete queryObj.reconnect
+      delete queryObj.reconnectDelay
+      delete queryObj.maxReconnectDelay
+      return queryObj
+    }
+
+    function onChange (change) {
+      if (change.last_seq !== undefined) {
+        // server closed the feed, e.g. on 'timeout'
+        feed.since = change.last_seq
+        return
+      }
+      feed.since = change.seq
+      feed.emit('change', change)
+    }
+
+    function read (res) {
+      let buffer = ''
+      let error
+      let done = false
+
+      function onLine (line) {
+        let payload = line
+        if (settings.feed === 'eventsource') {
+          // only data lines carry changes
+          if (line.indexOf('data:') !== 0) {
+            if (line.indexOf('event: heartbeat') === 0) feed.emit('heartbeat')
+            return
+          }
+          payload = line.slice(5)
+        }
+        if (!payload.trim()) {
+          // eventsource heartbeats are announced by their event line
+          if (settings.feed === 'continuous') feed.emit('heartbeat')
+          return
+        }
+        let change
+        try {
+          change = JSON.parse(payload)
+        } catch (err) {
+          // drop the connection and start again from the last good seq
+          error = new CouchError({
+            headers: res.headers,
+            data: {error: err.message},
+            status: 500,
+            message: err.message || 'invalid change',
+            duration: 0
+          })
+          return res.destroy()
+        }
+        // errors of 'change' listeners are not invalid changes
+        onChange(change)
+      }
+
+      function finish () {
+        if (done) return
+        done = true
+        response = null
+        reconnect(error)
+      }
+
+      res.setEncoding('utf8')
+      res.on('data', function (data) {
+        delay = settings.reconnectDelay
+        const lines = (buffer + data).split('\n')
+        buffer = lines.pop()
+        for (let i = 0; i < lines.length && !error; i++) {
+          onLine(lines[i])
+        }
+      })
+      res.on('end', finish)
+      res.on('aborted', finish)
+      res.on('close', finish)
+      res.on('error', finish)
+    }
+
+    function connect () {
+      timer = null
+      const param = changesParam(dbName, query())
+      // heartbeats keep the socket from running into the timeout
+      param.timeout = settings.heartbeat + config.requestTimeout
+      param.options = Object.assign({}, options, {retry: false})
+      requestStream(param)
+      .then(response2 => {
+        if (feed.stopped) return response2.stream.destroy()
+        response = response2.stream
+        read(response)
+      })
+      .catch(fail)
+    }
+
+    function reconnect (err) {
+      if (feed.stopped) return
+      if (!settings.reconnect) {
+        return stopWithError(err)
+      }
+      feed.emit('reconnect', {since: feed.since, delay: delay, error: err})
+      timer = setTimeout(connect, delay)
+      delay = Math.min(delay * 2, settings.maxReconnectDelay)
+    }
+
+    function fail (err) {
+      if (err.status >= 400 && err.status < 500) {
+        // client errors are permanent e.g. 404 database doesn't exist
+        stopWithError(err)
+      } else {
+        reconnect(err)
+      }
+    }
+
+    function stopWithError (err) {
+      // without an 'error' listener emit would throw and the feed wouldn't stop
+      if (err && feed.listenerCount('error')) feed.emit('error', err)
+      feed.stop()
+    }
+
+    /**
+     * Stop following the changes feed
+     */
+    feed.stop = function stop () {
+      if (feed.stopped) return
+      feed.stopped = true
+      if (timer) clearTimeout(timer)
+      if (response) response.destroy()
+      feed.emit('stop', feed.since)
+    }
+
+    if (typeof Symbol.asyncIterator === 'symbol') {
+      feed[Symbol.asyncIterator] = function () {
+        return eventIterator(feed, 'change', 'stop', {
+          pause: () => response && response.pause(),
+          resume: () => response && response.resume(),
+          stop: feed.stop
+        })
+      }
+    }
+
+    connect()
+    return feed
+  }
+
+  // http://docs.couchdb.org/en/latest/intro/security.html#users-documents
+
+  function userDocId (username) {
+    return `org.couchdb.user:${username}`
+  }
+
+  /**
+   * Create a user in the _users database
+   * @param  {String} username
+   * @param  {String} password
+   * @param  {Array} [roles = []]
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.createUser = function createUser (username, password, roles, options) {
+    const doc = {
+      _id: userDocId(username),
+      name: username,
+      password: password,
+      roles: roles || [],
+      type: 'user'
+    }
+    return couch.createDocument('_users', doc, doc._id, options)
+  }
+
+  /**
+   * Get a user document of the _users database
+   * @param  {String} username
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.getUser = function getUser (username, options) {
+    return couch.getDocument('_users', userDocId(username), undefined, options)
+  }
+
+  /**
+   * Set a new password, the latest revision of the user document is updated
+   * @param  {String} username
+   * @param  {String} password
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.updateUserPassword = function updateUserPassword (username, password, options) {
+    return couch.updateDocument('_users', userDocId(username), doc => {
+      doc.password = password
+    }, {}, options)
+  }
+
+  /**
+   * Replace the roles of a user
+   * @param  {String} username
+   * @param  {Array} roles
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.setUserRoles = function setUserRoles (username, roles, options) {
+    assert(Array.isArray(roles), 'roles is array')
+    return couch.updateDocument('_users', userDocId(username), doc => {
+      doc.roles = roles
+    }, {}, options)
+  }
+
+  /**
+   * Delete a user
+   * @param  {String} username
+   * @param  {String} [rev] - latest revision is used by default
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.deleteUser = function deleteUser (username, rev, options) {
+    return Promise.resolve(rev)
+    .then(rev => rev || couch.getUser(username, options).then(response => response.data._rev))
+    .then(rev => couch.deleteDocument('_users', userDocId(username), rev, options))
+  }
+
+  // http://docs.couchdb.org/en/latest/api/server/common.html#replicate
+  // http://docs.couchdb.org/en/latest/replication/replicator.html
+
+  /**
+   * Replicate a database (one-shot or continuous)
+   * Pass {cancel: true} with the same source and target to cancel a
+   * continuous replication.
+   * A one-shot replication has no request timeout, the response is sent when
+   * it completes; use options.timeout to bound a possibly stalled one.
+   * @param  {String|Object} source
+   * @param  {String|Object} target
+   * @param  {Object} [opts] - e.g. {continuous, create_target, doc_ids, filter}
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.replicate = function replicate (source, target, opts, options) {
+    const obj = {
+      source: source,
+      target: target
+    }
+    Object.assign(obj, opts)
+    return request({
+      path: '_replicate',
+      method: 'POST',
+      options: options,
+      postData: obj,
+      // one-shot replications last as long as they take
+      timeout: obj.continuous || obj.cancel ? undefined : 0,
+      statusCodes: {
+        200: 'OK - Replication request successfully completed',
+        202: 'Accepted - Continuous replication request has been accepted',
+        400: 'Bad Request - Invalid JSON data',
+        401: 'Unauthorized - CouchDB Server Administrator privileges required',
+        404: 'Not Found - Either the source or target DB is not found or attempt to cancel unknown replication task',
+        500: 'Internal Server Error - JSON specification was invalid'
+      }
+    })
+  }
+
   /**
-   * generic request function
+   * Create a persistent replication document in the _replicator database
+   * @param  {String|Object} source
+   * @param  {String|Object} target
+   * @param  {Object} [opts] - e.g. {_id, continuous, create_target}
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.createReplication = function createReplication (source, target, opts, options) {
+    const doc = {
+      source: source,
+      target: target
+    }
+    Object.assign(doc, opts)
+    return couch.createDocument('_replicator', doc, doc._id, options)
+  }
+
+  /**
+   * List persistent replication documents of the _replicator database
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.listReplications = function listReplications (options) {
+    return couch.getAllDocuments('_replicator', {include_docs: true}, options)
+    .then(response => {
+      // skip design documents
+      response.data.rows = response.data.rows.filter(row => row.id.indexOf('_design/') !== 0)
+      return response
+    })
+  }
+
+  /**
+   * Get a persistent replication document
+   * @param  {String} docId
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.getReplication = function getReplication (docId, options) {
+    return couch.getDocument('_replicator', docId, undefined, options)
+  }
+
+  /**
+   * Cancel a persistent replication by deleting its replication document
+   * @param  {String} docId
+   * @param  {String} [rev] - latest revision is used by default
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.cancelReplication = function cancelReplication (docId, rev, options) {
+    return Promise.resolve(rev)
+    .then(rev => rev || couch.getDocument('_replicator', docId, undefined, options).then(response => response.data._rev))
+    .then(rev => couch.deleteDocument('_replicator', docId, rev, options))
+  }
+
+  /**
+   * Get replication jobs (requires CouchDB >= 2.1.0)
+   * @param  {Object} [queryObj] - {limit, skip}
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.getSchedulerJobs = function getSchedulerJobs (queryObj, options) {
+    return request({
+      path: `_scheduler/jobs${createQueryString(queryObj)}`,
+      method: 'GET',
+      options: options,
+      statusCodes: {
+        200: 'OK - Request completed successfully',
+        401: 'Unauthorized - CouchDB Server Administrator privileges required'
+      }
+    })
+  }
+
+  /**
+   * Get replication document states (requires CouchDB >= 2.1.0)
+   * @param  {Object} [queryObj] - {limit, skip, states}
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.getSchedulerDocs = function getSchedulerDocs (queryObj, options) {
+    return request({
+      path: `_scheduler/docs${createQueryString(queryObj)}`,
+      method: 'GET',
+      options: options,
+      statusCodes: {
+        200: 'OK - Request completed successfully',
+        401: 'Unauthorized - CouchDB Server Administrator privileges required'
+      }
+    })
+  }
+
+  /**
+   * Get the state of a persistent replication (requires CouchDB >= 2.1.0)
+   * @param  {String} docId
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.getReplicationState = function getReplicationState (docId, options) {
+    return request({
+      path: `_scheduler/docs/_replicator/${encodeURIComponent(docId)}`,
+      method: 'GET',
+      options: options,
+      statusCodes: {
+        200: 'OK - Request completed successfully',
+        401: 'Unauthorized - CouchDB Server Administrator privileges required',
+        404: 'Not Found - Replication document not found'
+      }
+    })
+  }
+
+  /**
+   * Wait until a persistent replication is completed (requires CouchDB >= 2.1.0)
+   * Resolves with the last state response, rejects if the replication failed.
+   * @param  {String} docId
+   * @param  {Object} [opts] - {interval=1000, timeout=0, onProgress(response)}
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.waitForReplication = function waitForReplication (docId, opts, options) {
+    const settings = Object.assign({interval: 1000, timeout: 0}, opts)
+    const t0 = Date.now()
+
+    function poll () {
+      return couch.getReplicationState(docId, options)
+      .then(response => {
+        if (settings.onProgress) settings.onProgress(response)
+        const state = response.data.state
+        if (state === 'completed') {
+          return response
+        }
+        if (state === 'failed') {
+          return Promise.reject(new CouchError(Object.assign({}, response, {
+            message: `Error: replication failed - ${response.data.info && response.data.info.error}`
+          })))
+        }
+        if (settings.timeout && Date.now() - t0 > settings.timeout) {
+          return Promise.reject(new TimeoutError({
+            headers: {},
+            data: {error: 'replication timed out', state: state},
+            status: 500,
+            code: 'ETIMEDOUT',
+            message: 'Error: replication timed out',
+            duration: Date.now() - t0
+          }))
+        }
+        return sleep(settings.interval).then(poll)
+      })
+    }
+    return poll()
+  }
+
+  /**
+   * generic request function, it only issues GET requests
    * @param  {String} path    e.g. '_all_dbs'
+   * @param  {Object} [options] - request options
    * @return {Promise}
    */
-  couch.getUrlPath = function (path) {
+  couch.getUrlPath = function (path, options) {
     return request({
       path: path,
-      methode: 'GET'
+      method: 'GET',
+      options: options
     })
   }
 
+  // http://docs.couchdb.org/en/latest/api/server/common.html
+
+  function nodePath (node) {
+    // _local is an alias for the node that serves the request
+    return `_node/${encodeURIComponent(node || '_local')}`
+  }
+
+  /**
+   * List running tasks (compaction, replication, indexing)
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.getActiveTasks = function getActiveTasks (options) {
+    return request({
+      path: '_active_tasks',
+      method: 'GET',
+      options: options,
+      statusCodes: {
+        200: 'OK - Request completed successfully',
+        401: 'Unauthorized - CouchDB Server Administrator privileges required'
+      }
+    })
+  }
+
+  /**
+   * Get the nodes of the cluster (requires CouchDB >= 2.0.0)
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.getMembership = function getMembership (options) {
+    return request({
+      path: '_membership',
+      method: 'GET',
+      options: options,
+      statusCodes: {
+        200: 'OK - Request completed successfully',
+        401: 'Unauthorized - CouchDB Server Administrator privileges required'
+      }
+    })
+  }
+
+  /**
+   * Health check, rejects if the server is in maintenance mode (requires CouchDB >= 2.0.0)
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.getUp = function getUp (options) {
+    return request({
+      path: '_up',
+      method: 'GET',
+      options: options,
+      statusCodes: {
+        200: 'OK - Service is up and running',
+        404: 'Not Found - Service is in maintenance mode'
+      }
+    })
+  }
+
+  /**
+   * Get the configuration of a node, a section or a single key (requires CouchDB >= 2.0.0)
+   * @param  {String} [section]
+   * @param  {String} [key]
+   * @param  {String} [node = '_local']
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.getConfig = function getConfig (section, key, node, options) {
+    let path = `${nodePath(node)}/_config`
+    if (section) path += `/${encodeURIComponent(section)}`
+    if (section && key) path += `/${encodeURIComponent(key)}`
+    return request({
+      path: path,
+      method: 'GET',
+      options: options,
+      statusCodes: {
+        200: 'OK - Request completed successfully',
+        401: 'Unauthorized - CouchDB Server Administrator privileges required',
+        404: 'Not Found - Specified configuration option not found'
+      }
+    })
+  }
+
+  /**
+   * Set a configuration value, resolves with the old value (requires CouchDB >= 2.0.0)
+   * @param  {String} section
+   * @param  {String} key
+   * @param  {String} value
+   * @param  {String} [node = '_local']
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.setConfig = function setConfig (section, key, value, node, options) {
+    return request({
+      path: `${nodePath(node)}/_config/${encodeURIComponent(section)}/${encodeURIComponent(key)}`,
+      method: 'PUT',
+      options: options,
+      // config values are JSON strings
+      postData: JSON.stringify(String(value)),
+      postContentType: 'application/json',
+      statusCodes: {
+        200: 'OK - Request completed successfully',
+        400: 'Bad Request - Invalid JSON request body',
+        401: 'Unauthorized - CouchDB Server Administrator privileges required',
+        500: 'Internal Server Error - Error setting configuration'
+      }
+    })
+  }
+
+  /**
+   * Delete a configuration value, resolves with the old value (requires CouchDB >= 2.0.0)
+   * @param  {String} section
+   * @param  {String} key
+   * @param  {String} [node = '_local']
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.deleteConfig = function deleteConfig (section, key, node, options) {
+    return request({
+      path: `${nodePath(node)}/_config/${encodeURIComponent(section)}/${encodeURIComponent(key)}`,
+      method: 'DELETE',
+      options: options,
+      statusCodes: {
+        200: 'OK - Request completed successfully',
+        401: 'Unauthorized - CouchDB Server Administrator privileges required',
+        404: 'Not Found - Specified configuration option not found'
+      }
+    })
+  }
+
+  /**
+   * Get statistics of a node, all or e.g. 'couchdb/request_time' (requires CouchDB >= 2.0.0)
+   * @param  {String} [stat]
+   * @param  {String} [node = '_local']
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.getStats = function getStats (stat, node, options) {
+    const statPath = stat ? `/${stat.split('/').map(encodeURIComponent).join('/')}` : ''
+    return request({
+      path: `${nodePath(node)}/_stats${statPath}`,
+      method: 'GET',
+      options: options,
+      statusCodes: {
+        200: 'OK - Request completed successfully',
+        401: 'Unauthorized - CouchDB Server Administrator privileges required',
+        404: 'Not Found - Specified statistic not found'
+      }
+    })
+  }
+
+  /**
+   * Get system level statistics of a node, e.g. memory and message queues (requires CouchDB >= 2.0.0)
+   * @param  {String} [node = '_local']
+   * @param  {Object} [options] - request options
+   * @return {Promise}
+   */
+  couch.getSystem = function getSystem (node, options) {
+    return request({
+      path: `${nodePath(node)}/_system`,
+      method: 'GET',
+      options: options,
+      statusCodes: {
+        200: 'OK - Request completed successfully',
+        401: 'Unauthorized - CouchDB Server Administrator privileges required'
+      }
+    })
+  }
+
+  // functions that take dbName as first argument
+  const DB_FUNCTIONS = [
+    'getAllDocuments', 'getDocumentHead', 'getDocument', 'copyDocument',
+    'createDocument', 'deleteDocument', 'findDocuments',
+    'getDesignDocument', 'getDesignDocumentInfo', 'createDesignDocument',
+    'deleteDesignDocument', 'getView', 'executeUpdateFunction',
+    'executeUpdateFunctionForDocument', 'createBulkDocuments',
+    'getAttachmentHead', 'getAttachment', 'addAttachment', 'deleteAttachment',
+    'createIndex', 'getIndex', 'deleteIndex', 'getChanges', 'followChanges',
+    'streamView', 'streamAllDocuments', 'paginateView', 'paginateAllDocuments',
+    'paginateFind', 'explainQuery', 'updateDocument', 'writeBulkDocuments',
+    'getBulkDocuments', 'syncDesignDocuments', 'getSecurity', 'setSecurity',
+    'addSecurityAdmins', 'removeSecurityAdmins', 'addSecurityMembers', 'removeSecurityMembers',
+    'compactDatabase', 'compactDesignDocument', 'viewCleanup', 'waitForCompaction',
+    'getRevsLimit', 'setRevsLimit', 'purgeDocuments', 'getPurgedInfosLimit', 'setPurgedInfosLimit',
+    'getRevisions', 'getOpenRevisions', 'getConflicts', 'getDeletedConflicts',
+    'resolveConflicts', 'sweepConflicts', 'getLocalDocument', 'putLocalDocument',
+    'deleteLocalDocument', 'listLocalDocuments', 'getCheckpoint', 'setCheckpoint',
+    'createDocumentWithAttachments', 'getDocumentWithAttachments', 'openAttachmentStream'
+  ]
+
+  /**
+   * Get a handle with all database functions bound to dbName
+   * e.g. couch.db('mydb').getDocument('doc')
+   * @param  {String} dbName
+   * @return {Object}
+   */
+  couch.db = function db (dbName) {
+    const handle = {
+      name: dbName
+    }
+    DB_FUNCTIONS.forEach(name => {
+      handle[name] = function () {
+        const args = Array.prototype.slice.call(arguments)
+        return couch[name].apply(couch, [dbName].concat(args))
+      }
+    })
+
+    /**
+     * Get database information
+     * @param  {Object} [options] - request options
+     * @return {Promise}
+     */
+    handle.info = function info (options) {
+      return couch.getDatabase(dbName, options)
+    }
+
+    /**
+     * Check if the database exists
+     * @param  {Object} [options] - request options
+     * @return {Promise} - resolves with true or false
+     */
+    handle.exists = function exists (options) {
+      return couch.getDatabaseHead(dbName, options)
+      .then(() => true)
+      .catch(response => response.status === 404 ? false : Promise.reject(response))
+    }
+
+    /**
+     * Create the database
+     * @param  {Object} [options] - request options
+     * @return {Promise}
+     */
+    handle.create = function create (options) {
+      return couch.createDatabase(dbName, options)
+    }
+
+    /**
+     * Delete the database
+     * @param  {Object} [options] - request options
+     * @return {Promise}
+     */
+    handle.destroy = function destroy (options) {
+      return couch.deleteDatabase(dbName, options)
+    }
+
+    return handle
+  }
+
   return couch
 }
+
+couchdb.CouchError = CouchError
+couchdb.InvalidRequestError = InvalidRequestError
+couchdb.UnauthorizedError = UnauthorizedError
+couchdb.NotFoundError = NotFoundError
+couchdb.ConflictError = ConflictError
+couchdb.TimeoutError = TimeoutError
+couchdb.NetworkError = NetworkError